@@ -0,0 +1,159 @@
+// Service worker: keeps the planner working offline.
+//
+// The app shell (the page and the scripts, styles and icons it links) and
+// the course data are cached when the worker installs. Requests are then
+// answered from the cache straight away while a fresh copy is fetched in the
+// background (stale-while-revalidate). When a fresh copy of a course data
+// file differs from the cached one, open pages get a "data-updated" message
+// and can offer to reload.
+
+const CACHE_VERSION = "v2";
+const SHELL_CACHE = `planit-shell-${CACHE_VERSION}`;
+const DATA_CACHE = `planit-data-${CACHE_VERSION}`;
+const MANIFEST_URL = "./data/catalogs.json";
+const DATA_URL = new URL("./data/", self.location).href;
+
+const isDataRequest = (url) => url.href.startsWith(DATA_URL);
+
+// Local URLs a page links to in src/href attributes
+function linkedUrls(html, base) {
+  const urls = [];
+  const pattern = /\s(?:src|href)="([^"#]+)"/g;
+  let match;
+  while ((match = pattern.exec(html))) {
+    const url = new URL(match[1], base);
+    if (url.origin === self.location.origin) urls.push(url.href);
+  }
+  return urls;
+}
+
+async function precacheShell() {
+  const cache = await caches.open(SHELL_CACHE);
+  const page = new URL("./", self.location).href;
+  const response = await fetch(page, { cache: "no-cache" });
+  if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+  const html = await response.clone().text();
+  await cache.put(page, response);
+  await Promise.all(
+    linkedUrls(html, page).map((url) =>
+      cache.add(url).catch((error) => {
+        console.warn(`Not cached for offline use: ${url}`, error);
+      })
+    )
+  );
+}
+
+// The catalog manifest and every file of every catalog it lists
+async function precacheData() {
+  const cache = await caches.open(DATA_CACHE);
+  const manifestUrl = new URL(MANIFEST_URL, self.location).href;
+  const response = await fetch(manifestUrl, { cache: "no-cache" });
+  if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+  const manifest = await response.clone().json();
+  await cache.put(manifestUrl, response);
+
+  const files = new Set();
+  (manifest.catalogs || []).forEach((catalog) => {
+    ["courses", "rules", "fees", "sections"].forEach((key) => {
+      if (catalog[key]) files.add(new URL(catalog[key], self.location).href);
+    });
+  });
+  await Promise.all(
+    [...files].map((url) =>
+      cache.add(url).catch((error) => {
+        console.warn(`Not cached for offline use: ${url}`, error);
+      })
+    )
+  );
+}
+
+// The app shell must be cached for the worker to be of any use. Course data
+// that cannot be fetched now is cached when the page first loads it.
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    Promise.all([
+      precacheShell(),
+      precacheData().catch((error) => {
+        console.warn("Course data not cached for offline use:", error);
+      }),
+    ]).then(() => self.skipWaiting())
+  );
+});
+
+// Drop the caches of earlier versions
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter(
+              (key) =>
+                key.startsWith("planit-") &&
+                key !== SHELL_CACHE &&
+                key !== DATA_CACHE
+            )
+            .map((key) => caches.delete(key))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+async function notifyClients(message) {
+  const clients = await self.clients.matchAll({ type: "window" });
+  clients.forEach((client) => client.postMessage(message));
+}
+
+// Answer from the cache and refresh it from the network. Course data that
+// changed is reported to the open pages.
+async function staleWhileRevalidate(event, cacheName) {
+  const request = event.request;
+  const cache = await caches.open(cacheName);
+  // Pages are cached under the app's root URL
+  const cacheKey =
+    request.mode === "navigate" ? new URL("./", self.location).href : request;
+  const cached = await cache.match(cacheKey, { ignoreSearch: true });
+
+  // A navigation request cannot be re-fetched with options; use its URL
+  const refresh = fetch(request.mode === "navigate" ? request.url : request, {
+    cache: "no-cache",
+  })
+    .then(async (response) => {
+      if (!response.ok || response.type === "opaque") return response;
+      if (cacheName === DATA_CACHE && cached) {
+        const [fresh, old] = await Promise.all([
+          response.clone().text(),
+          cached.clone().text(),
+        ]);
+        if (fresh !== old) {
+          await cache.put(cacheKey, response.clone());
+          await notifyClients({ type: "data-updated", url: request.url });
+          return response;
+        }
+      }
+      await cache.put(cacheKey, response.clone());
+      return response;
+    })
+    .catch((error) => {
+      if (cached) return cached;
+      throw error;
+    });
+
+  if (cached) {
+    event.waitUntil(refresh.catch(() => {}));
+    return cached;
+  }
+  return refresh;
+}
+
+self.addEventListener("fetch", (event) => {
+  const url = new URL(event.request.url);
+  if (event.request.method !== "GET" || url.origin !== self.location.origin) {
+    return;
+  }
+  event.respondWith(
+    staleWhileRevalidate(event, isDataRequest(url) ? DATA_CACHE : SHELL_CACHE)
+  );
+});
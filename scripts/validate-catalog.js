@@ -0,0 +1,56 @@
+// Check every catalog listed in public/data/catalogs.json.
+//
+//   npm run validate
+//
+// Exits with status 1 if any catalog has fatal errors.
+
+import { readFile } from "node:fs/promises";
+import { fileURLToPath } from "node:url";
+import path from "node:path";
+import { validateCatalog, validateRules } from "../src/catalogValidator.js";
+
+// The data is served from public/; paths in the manifest are relative to it
+const root = path.resolve(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "..",
+  "public"
+);
+
+const readJson = async (file) =>
+  JSON.parse(await readFile(path.join(root, file), "utf8"));
+
+async function main() {
+  const manifest = await readJson("data/catalogs.json");
+  let failed = false;
+
+  for (const catalog of manifest.catalogs) {
+    console.log(`${catalog.name} (${catalog.id})`);
+
+    let courses;
+    let rules;
+    try {
+      courses = await readJson(catalog.courses);
+      rules = catalog.rules ? await readJson(catalog.rules) : null;
+    } catch (error) {
+      console.log(`  error: ${error.message}`);
+      failed = true;
+      continue;
+    }
+
+    const { errors, warnings } = validateCatalog(courses);
+    if (errors.length === 0) warnings.push(...validateRules(rules, courses));
+
+    errors.forEach((problem) => console.log(`  error: ${problem.message}`));
+    warnings.forEach((problem) => console.log(`  warning: ${problem.message}`));
+    console.log(
+      `  ${errors.length} error${errors.length !== 1 ? "s" : ""}, ${
+        warnings.length
+      } warning${warnings.length !== 1 ? "s" : ""}`
+    );
+    if (errors.length > 0) failed = true;
+  }
+
+  process.exitCode = failed ? 1 : 0;
+}
+
+main();
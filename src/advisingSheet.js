@@ -0,0 +1,204 @@
+// Advising sheet for the selected courses: the print view in main.js and the
+// CSV and Markdown exports are all built from the same sheet object.
+
+// context:
+//   student      { name, id }
+//   catalogName  name of the curriculum catalog
+//   sections     chosen section number per course code
+//   cost         result of calculateSemesterCost, or null
+//   feeSchedule  the fee schedule the cost came from, or null
+//   date         when the sheet was made (defaults to now)
+export function buildAdvisingSheet(courses, context = {}) {
+  const { student = {}, sections = {}, cost = null } = context;
+  return {
+    student: { name: student.name || "", id: student.id || "" },
+    catalogName: context.catalogName || "",
+    date: (context.date || new Date()).toISOString().slice(0, 10),
+    courses: courses.map((course) => ({
+      code: course.code,
+      name: course.name,
+      credits: course.credits,
+      type: course.type,
+      category: course.category,
+      corequisites: course.corequisites || [],
+      section: sections[course.code] || null,
+    })),
+    totalCredits: courses.reduce((total, course) => total + course.credits, 0),
+    cost,
+    feeScheduleName: context.feeSchedule ? context.feeSchedule.name : "",
+    costLines: cost ? getCostLines(cost) : [],
+  };
+}
+
+// The cost breakdown as { label, amount, kind } lines, where kind is "line",
+// "subtotal", "discount", "total" or "installment". Discounts are negative.
+export function getCostLines(cost) {
+  const lines = cost.tuitionLines.map((line) => ({
+    label: `Tuition: ${line.code} (${line.credits} cr)${
+      line.retake ? " — retake" : ""
+    }`,
+    amount: line.amount,
+    kind: "line",
+  }));
+  cost.fixedFees.forEach((fee) =>
+    lines.push({ label: fee.name, amount: fee.amount, kind: "line" })
+  );
+  cost.conditionalFees.forEach((fee) =>
+    lines.push({
+      label: `${fee.name} (triggered by ${fee.triggeredBy.join(", ")})`,
+      amount: fee.amount,
+      kind: "line",
+    })
+  );
+  lines.push({ label: "Subtotal", amount: cost.total, kind: "subtotal" });
+  if (cost.retakeDiscount > 0) {
+    lines.push({
+      label: "Retake discount",
+      amount: -cost.retakeDiscount,
+      kind: "discount",
+    });
+  }
+  if (cost.waiver > 0) {
+    lines.push({
+      label: "Waiver / scholarship",
+      amount: -cost.waiver,
+      kind: "discount",
+    });
+  }
+  lines.push({ label: "Total payable", amount: cost.payable, kind: "total" });
+  if (cost.installments.length > 1) {
+    cost.installments.forEach((amount, index) =>
+      lines.push({
+        label: `Installment ${index + 1}`,
+        amount,
+        kind: "installment",
+      })
+    );
+  }
+  return lines;
+}
+
+export function formatMoney(amount, currency) {
+  return `${amount < 0 ? "−" : ""}${currency}${Math.abs(
+    amount
+  ).toLocaleString()}`;
+}
+
+const TYPE_NAMES = { theory: "Theory", lab: "Lab" };
+
+export function getTypeName(type) {
+  return TYPE_NAMES[type] || type || "";
+}
+
+const csvCell = (value) => {
+  const text = String(value === null || value === undefined ? "" : value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvRow = (cells) => cells.map(csvCell).join(",");
+
+// One course per row, then the total, then the cost breakdown with plain
+// numbers so a spreadsheet can add them up
+export function advisingSheetToCsv(sheet) {
+  const rows = [
+    csvRow(["Student", sheet.student.name]),
+    csvRow(["Student ID", sheet.student.id]),
+    csvRow(["Date", sheet.date]),
+    "",
+    csvRow([
+      "Code",
+      "Course",
+      "Credits",
+      "Type",
+      "Category",
+      "Corequisites",
+      "Section",
+    ]),
+    ...sheet.courses.map((course) =>
+      csvRow([
+        course.code,
+        course.name,
+        course.credits,
+        getTypeName(course.type),
+        course.category,
+        course.corequisites.join(" "),
+        course.section,
+      ])
+    ),
+    csvRow(["Total", "", sheet.totalCredits]),
+  ];
+  if (sheet.cost) {
+    rows.push(
+      "",
+      csvRow(["Item", `Amount (${sheet.cost.currency})`]),
+      ...sheet.costLines.map((line) => csvRow([line.label, line.amount]))
+    );
+  }
+  return `${rows.join("\r\n")}\r\n`;
+}
+
+const markdownCell = (value) =>
+  String(value === null || value === undefined ? "" : value).replace(
+    /\|/g,
+    "\\|"
+  );
+
+const markdownRow = (cells) => `| ${cells.map(markdownCell).join(" | ")} |`;
+
+// Readable as plain text too, for pasting into an email
+export function advisingSheetToMarkdown(sheet) {
+  const lines = ["# Advising Sheet", ""];
+  if (sheet.student.name) lines.push(`Student: ${sheet.student.name}  `);
+  if (sheet.student.id) lines.push(`Student ID: ${sheet.student.id}  `);
+  if (sheet.catalogName) lines.push(`Catalog: ${sheet.catalogName}  `);
+  lines.push(`Date: ${sheet.date}`, "");
+
+  if (sheet.courses.length === 0) {
+    lines.push("No courses selected.");
+  } else {
+    lines.push(
+      markdownRow([
+        "Code",
+        "Course",
+        "Credits",
+        "Type",
+        "Category",
+        "Corequisites",
+        "Section",
+      ]),
+      markdownRow(["---", "---", "---:", "---", "---", "---", "---"]),
+      ...sheet.courses.map((course) =>
+        markdownRow([
+          course.code,
+          course.name,
+          course.credits,
+          getTypeName(course.type),
+          course.category,
+          course.corequisites.join(", ") || "—",
+          course.section || "—",
+        ])
+      ),
+      "",
+      `**Total credits: ${sheet.totalCredits}**`
+    );
+  }
+
+  if (sheet.cost) {
+    lines.push(
+      "",
+      `## Estimated Cost${
+        sheet.feeScheduleName ? ` (Fees: ${sheet.feeScheduleName})` : ""
+      }`,
+      "",
+      markdownRow(["Item", "Amount"]),
+      markdownRow(["---", "---:"]),
+      ...sheet.costLines.map((line) => {
+        const amount = formatMoney(line.amount, sheet.cost.currency);
+        return line.kind === "total"
+          ? markdownRow([`**${line.label}**`, `**${amount}**`])
+          : markdownRow([line.label, amount]);
+      })
+    );
+  }
+  return `${lines.join("\n")}\n`;
+}
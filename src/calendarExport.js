@@ -0,0 +1,229 @@
+// iCalendar (.ics) export of the weekly timetable. Each chosen section
+// becomes one weekly recurring event between the semester's start and end
+// dates, with holidays removed as exception dates. The dates come from
+// data/sections.json:
+//
+//   "startDate": "2027-01-24", "endDate": "2027-05-13",
+//   "timeZone": { "id": "Asia/Dhaka", "utcOffset": "+06:00" },
+//   "holidays": [{ "name": "...", "date": "2027-02-21" },
+//                { "name": "...", "from": "2027-03-07", "to": "2027-03-13" }]
+
+import { parseDays } from "./schedule.js";
+
+// Day letters in the order of Date.getUTCDay (Sunday first)
+const WEEKDAY_LETTERS = ["S", "M", "T", "W", "R", "F", "A"];
+const ICS_DAYS = {
+  S: "SU",
+  M: "MO",
+  T: "TU",
+  W: "WE",
+  R: "TH",
+  F: "FR",
+  A: "SA",
+};
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const parseDate = (text) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text || "");
+  return match
+    ? new Date(
+        Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]))
+      )
+    : null;
+};
+
+const isoDate = (date) => date.toISOString().slice(0, 10);
+
+// 2027-01-24 and "09:40" -> 20270124T094000
+const icsDateTime = (date, time) =>
+  `${isoDate(date).replace(/-/g, "")}T${time.replace(":", "")}00`;
+
+const icsUtc = (date) =>
+  date
+    .toISOString()
+    .replace(/[-:]/g, "")
+    .replace(/\.\d{3}/, "");
+
+// Whether the sections data has usable semester dates
+export function hasSemesterDates(sectionsData) {
+  const start = parseDate(sectionsData && sectionsData.startDate);
+  const end = parseDate(sectionsData && sectionsData.endDate);
+  return Boolean(start && end && start <= end);
+}
+
+// Every holiday date in the data, as "YYYY-MM-DD" strings
+export function getHolidayDates(sectionsData) {
+  const dates = new Set();
+  ((sectionsData && sectionsData.holidays) || []).forEach((holiday) => {
+    const from = parseDate(holiday.date || holiday.from);
+    const to = parseDate(holiday.to || holiday.date || holiday.from);
+    if (!from || !to) return;
+    for (let day = from; day <= to; day = new Date(day.getTime() + DAY_MS)) {
+      dates.add(isoDate(day));
+    }
+  });
+  return dates;
+}
+
+// When a section meets during the semester: { first, classDays, holidays }
+// with its first meeting date (possibly a holiday), the number of classes
+// actually held and the class dates that fall on holidays
+export function getSectionDates(section, sectionsData) {
+  const start = parseDate(sectionsData.startDate);
+  const end = parseDate(sectionsData.endDate);
+  const days = parseDays(section.days);
+  const holidayDates = getHolidayDates(sectionsData);
+  let first = null;
+  const holidays = [];
+  let classDays = 0;
+  for (let day = start; day <= end; day = new Date(day.getTime() + DAY_MS)) {
+    if (!days.includes(WEEKDAY_LETTERS[day.getUTCDay()])) continue;
+    if (!first) first = day;
+    if (holidayDates.has(isoDate(day))) {
+      holidays.push(day);
+    } else {
+      classDays++;
+    }
+  }
+  return { first, classDays, holidays };
+}
+
+// Escape TEXT values (RFC 5545 section 3.3.11)
+const escapeText = (text) =>
+  String(text)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+// Fold content lines longer than 75 octets (RFC 5545 section 3.1)
+function foldLine(line) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let current = "";
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74; // Continuations add a space
+    if (encoder.encode(current + char).length > limit) {
+      parts.push(current);
+      current = char;
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+// Fixed-offset time zone definition; the university's zone has no DST
+function timeZoneLines(timeZone) {
+  const offset = timeZone.utcOffset.replace(":", "");
+  return [
+    "BEGIN:VTIMEZONE",
+    `TZID:${timeZone.id}`,
+    "BEGIN:STANDARD",
+    "DTSTART:19700101T000000",
+    `TZOFFSETFROM:${offset}`,
+    `TZOFFSETTO:${offset}`,
+    "END:STANDARD",
+    "END:VTIMEZONE",
+  ];
+}
+
+// Build the calendar for the chosen sections.
+//
+// chosen:   [{ code, section }] as from getChosenSections
+// courses:  the catalog, for course names
+// options:  { now } the time stamp for DTSTAMP (defaults to now)
+//
+// Returns { ics, events, skipped } where skipped lists codes whose section
+// never meets between the start and end dates. Throws if the sections data
+// has no semester dates.
+export function buildCalendar(chosen, courses, sectionsData, options = {}) {
+  if (!hasSemesterDates(sectionsData)) {
+    throw new Error("The section data has no semester start and end dates.");
+  }
+  const timeZone = sectionsData.timeZone || {
+    id: "Asia/Dhaka",
+    utcOffset: "+06:00",
+  };
+  const now = options.now || new Date();
+  const semester = sectionsData.semester || "Semester";
+  const semesterId = semester.toLowerCase().replace(/[^a-z0-9]+/g, "-");
+
+  // Classes recur until the end of the last day; UNTIL is given in UTC
+  const [offsetHours, offsetMinutes] = timeZone.utcOffset
+    .slice(1)
+    .split(":")
+    .map(Number);
+  const offsetMs =
+    (timeZone.utcOffset[0] === "-" ? -1 : 1) *
+    (offsetHours * 60 + offsetMinutes) *
+    60 *
+    1000;
+  const until = new Date(
+    parseDate(sectionsData.endDate).getTime() + DAY_MS - 1000 - offsetMs
+  );
+
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//PlanItNSU//Course Planner//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(`Classes ${semester}`)}`,
+    `X-WR-TIMEZONE:${timeZone.id}`,
+    ...timeZoneLines(timeZone),
+  ];
+  const skipped = [];
+  let events = 0;
+
+  chosen.forEach(({ code, section }) => {
+    const course = courses.find((c) => c.code === code);
+    const { first, classDays, holidays } = getSectionDates(
+      section,
+      sectionsData
+    );
+    if (!first || classDays === 0) {
+      skipped.push(code);
+      return;
+    }
+    const byDay = parseDays(section.days)
+      .map((day) => ICS_DAYS[day])
+      .join(",");
+    const tz = `TZID=${timeZone.id}`;
+
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${code}-${section.section}-${semesterId}@planitnsu`,
+      `DTSTAMP:${icsUtc(now)}`,
+      `DTSTART;${tz}:${icsDateTime(first, section.start)}`,
+      `DTEND;${tz}:${icsDateTime(first, section.end)}`,
+      `RRULE:FREQ=WEEKLY;BYDAY=${byDay};UNTIL=${icsUtc(until)}`
+    );
+    if (holidays.length > 0) {
+      lines.push(
+        `EXDATE;${tz}:${holidays
+          .map((day) => icsDateTime(day, section.start))
+          .join(",")}`
+      );
+    }
+    lines.push(
+      `SUMMARY:${escapeText(`${code} ${course ? course.name : ""}`.trim())}`,
+      `LOCATION:${escapeText(section.room || "")}`,
+      `DESCRIPTION:${escapeText(
+        `Section ${section.section}${
+          section.faculty ? ` · Faculty: ${section.faculty}` : ""
+        }${course && course.type === "lab" ? " · Lab" : ""}`
+      )}`,
+      "END:VEVENT"
+    );
+    events++;
+  });
+
+  lines.push("END:VCALENDAR");
+  return {
+    ics: `${lines.map(foldLine).join("\r\n")}\r\n`,
+    events,
+    skipped,
+  };
+}
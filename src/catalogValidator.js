@@ -0,0 +1,225 @@
+// Integrity checks for a course catalog (data/courses.json) and the rules that
+// refer to it. Runs in the browser at load time and from
+// scripts/validate-catalog.js.
+//
+// Errors are fatal: the planner would misbehave, so it refuses to start.
+// Warnings point at data the planner tolerates but probably should not.
+// Every problem is { code, message }, where code is the course code involved
+// (or null for catalog-wide problems).
+
+import { CATEGORY_CLASSES } from "./categories.js";
+import { getCreditRequirement } from "./plannerCore.js";
+
+const COURSE_TYPES = ["theory", "lab"];
+
+const isNonEmptyString = (value) =>
+  typeof value === "string" && value.trim() !== "";
+
+// Field-level problems with a single course entry
+function checkCourseShape(course, index) {
+  const label = isNonEmptyString(course && course.code)
+    ? course.code
+    : `entry ${index + 1}`;
+  const code = isNonEmptyString(course && course.code) ? course.code : null;
+  const errors = [];
+
+  if (!course || typeof course !== "object" || Array.isArray(course)) {
+    return [{ code: null, message: `${label} is not a course object` }];
+  }
+  if (!code) {
+    errors.push({ code, message: `${label} has no course code` });
+  }
+  if (!isNonEmptyString(course.name)) {
+    errors.push({ code, message: `${label} has no name` });
+  }
+  if (typeof course.credits !== "number" || !(course.credits >= 0)) {
+    errors.push({ code, message: `${label} has invalid credits` });
+  }
+  if (!COURSE_TYPES.includes(course.type)) {
+    errors.push({
+      code,
+      message: `${label} has type "${course.type}"; expected ${COURSE_TYPES.join(
+        " or "
+      )}`,
+    });
+  }
+  if (!isNonEmptyString(course.category)) {
+    errors.push({ code, message: `${label} has no category` });
+  }
+  ["prerequisites", "corequisites"].forEach((field) => {
+    const list = course[field];
+    if (list === undefined) return;
+    if (!Array.isArray(list) || !list.every(isNonEmptyString)) {
+      errors.push({
+        code,
+        message: `${label} ${field} must be a list of codes`,
+      });
+    }
+  });
+  return errors;
+}
+
+// Prerequisite cycles, each reported once as "A → B → A"
+function findPrerequisiteCycles(courses, codes) {
+  const prerequisitesOf = new Map(
+    courses.map((course) => [
+      course.code,
+      // Self-references are reported separately
+      (course.prerequisites || []).filter(
+        (prereq) => codes.has(prereq) && prereq !== course.code
+      ),
+    ])
+  );
+  const cycles = [];
+  const state = new Map(); // code -> "visiting" | "done"
+  const path = [];
+
+  const visit = (code) => {
+    if (state.get(code) === "done") return;
+    if (state.get(code) === "visiting") {
+      cycles.push([...path.slice(path.indexOf(code)), code]);
+      return;
+    }
+    state.set(code, "visiting");
+    path.push(code);
+    prerequisitesOf.get(code).forEach(visit);
+    path.pop();
+    state.set(code, "done");
+  };
+  [...prerequisitesOf.keys()].sort().forEach(visit);
+  return cycles;
+}
+
+// options:
+//   categoryClasses   category -> CSS class map (defaults to CATEGORY_CLASSES)
+export function validateCatalog(courses, options = {}) {
+  const { categoryClasses = CATEGORY_CLASSES } = options;
+  const errors = [];
+  const warnings = [];
+
+  if (!Array.isArray(courses)) {
+    return {
+      errors: [{ code: null, message: "The catalog is not a list of courses" }],
+      warnings,
+    };
+  }
+  if (courses.length === 0) {
+    errors.push({ code: null, message: "The catalog has no courses" });
+  }
+
+  courses.forEach((course, index) => {
+    errors.push(...checkCourseShape(course, index));
+  });
+  // Later checks rely on well-formed entries
+  if (errors.length > 0) return { errors, warnings };
+
+  const byCode = new Map();
+  courses.forEach((course) => {
+    if (byCode.has(course.code)) {
+      errors.push({
+        code: course.code,
+        message: `${course.code} is listed more than once`,
+      });
+    }
+    byCode.set(course.code, course);
+  });
+  const codes = new Set(byCode.keys());
+
+  courses.forEach((course) => {
+    (course.prerequisites || []).forEach((prereq) => {
+      if (getCreditRequirement(prereq) !== null) return;
+      if (prereq === course.code) {
+        errors.push({
+          code: course.code,
+          message: `${course.code} lists itself as a prerequisite`,
+        });
+      } else if (!codes.has(prereq)) {
+        // The planner would silently ignore it and offer the course too early
+        errors.push({
+          code: course.code,
+          message: `${course.code} requires ${prereq}, which is not in the catalog`,
+        });
+      }
+    });
+
+    const corequisites = course.corequisites || [];
+    corequisites.forEach((coreq) => {
+      if (coreq === course.code) {
+        errors.push({
+          code: course.code,
+          message: `${course.code} lists itself as a corequisite`,
+        });
+      } else if (!codes.has(coreq)) {
+        errors.push({
+          code: course.code,
+          message: `${course.code} has corequisite ${coreq}, which is not in the catalog`,
+        });
+      } else if (
+        !(byCode.get(coreq).corequisites || []).includes(course.code)
+      ) {
+        warnings.push({
+          code: course.code,
+          message: `${coreq} does not list ${course.code} back as a corequisite`,
+        });
+      }
+    });
+
+    if (
+      course.type === "lab" &&
+      !corequisites.some(
+        (coreq) => codes.has(coreq) && byCode.get(coreq).type === "theory"
+      )
+    ) {
+      warnings.push({
+        code: course.code,
+        message: `Lab ${course.code} has no theory corequisite`,
+      });
+    }
+  });
+
+  findPrerequisiteCycles(courses, codes).forEach((cycle) => {
+    errors.push({
+      code: cycle[0],
+      message: `Prerequisite cycle: ${cycle.join(" → ")}`,
+    });
+  });
+
+  const categories = [...new Set(courses.map((course) => course.category))];
+  categories.forEach((category) => {
+    if (!categoryClasses[category]) {
+      warnings.push({
+        code: null,
+        message: `Category "${category}" has no badge style`,
+      });
+    }
+  });
+
+  return { errors, warnings };
+}
+
+// Course codes and categories in rules.json that the catalog does not have
+export function validateRules(rulesData, courses) {
+  const warnings = [];
+  const codes = new Set(courses.map((course) => course.code));
+  const categories = new Set(courses.map((course) => course.category));
+
+  ((rulesData && rulesData.rules) || []).forEach((rule) => {
+    (rule.courses || [])
+      .filter((code) => !codes.has(code))
+      .forEach((code) => {
+        warnings.push({
+          code,
+          message: `Rule "${rule.id}" refers to ${code}, which is not in the catalog`,
+        });
+      });
+    (rule.categories || [])
+      .filter((category) => !categories.has(category))
+      .forEach((category) => {
+        warnings.push({
+          code: null,
+          message: `Rule "${rule.id}" refers to category "${category}", which no course has`,
+        });
+      });
+  });
+  return warnings;
+}
@@ -0,0 +1,128 @@
+// Curriculum catalogs. data/catalogs.json lists every catalog the planner can
+// load (a program's courses, rules, fees and sections for an admission-year
+// range) and how course codes map between catalogs:
+//
+//   codeMap   { "<other catalog id>": { "OLD101": "NEW101", "GONE": null } }
+//
+// A code coming from another catalog is renamed by the target catalog's
+// codeMap, kept if the target has the same code, and dropped otherwise.
+//
+// A catalog's "version" changes whenever its course data does. Plans saved
+// with an earlier version are migrated the same way, with the renames listed
+// under the catalog's own id in its codeMap.
+
+// Used when the manifest itself cannot be loaded
+export const DEFAULT_MANIFEST = {
+  defaultCatalog: "cse",
+  catalogs: [
+    {
+      id: "cse",
+      name: "BSc in CSE",
+      program: "CSE",
+      courses: "./data/courses.json",
+      rules: "./data/rules.json",
+      fees: "./data/fees.json",
+      sections: "./data/sections.json",
+    },
+  ],
+};
+
+const coversYear = (catalog, year) => {
+  const { from, to } = catalog.admissionYears || {};
+  return (from == null || year >= from) && (to == null || year <= to);
+};
+
+// The saved catalog if it still exists, else the one for the admission year,
+// else the manifest's default
+export function selectCatalog(manifest, catalogId, admissionYear) {
+  const catalogs = (manifest && manifest.catalogs) || [];
+  if (catalogs.length === 0) return null;
+
+  const saved = catalogs.find((catalog) => catalog.id === catalogId);
+  if (saved) return saved;
+
+  const year = parseInt(admissionYear);
+  const forYear = Number.isNaN(year)
+    ? null
+    : catalogs.find(
+        (catalog) => catalog.admissionYears && coversYear(catalog, year)
+      );
+  return (
+    forYear ||
+    catalogs.find((catalog) => catalog.id === manifest.defaultCatalog) ||
+    catalogs[0]
+  );
+}
+
+// Translate codes saved under one catalog into another.
+// Returns { codes, renamed: [[from, to]], dropped: [code] }.
+export function migrateCourseCodes(codes, fromCatalogId, toCatalog, toCodes) {
+  const known = new Set(toCodes);
+  const codeMap = (toCatalog.codeMap && toCatalog.codeMap[fromCatalogId]) || {};
+  const migrated = [];
+  const renamed = [];
+  const dropped = [];
+
+  codes.forEach((code) => {
+    const target = code in codeMap ? codeMap[code] : code;
+    if (target && known.has(target)) {
+      if (target !== code) renamed.push([code, target]);
+      if (!migrated.includes(target)) migrated.push(target);
+    } else {
+      dropped.push(code);
+    }
+  });
+
+  return { codes: migrated, renamed, dropped };
+}
+
+// Migrate every course list in a planner state (see getPlannerState), and
+// grade records when the state carries them
+export function migratePlannerState(state, fromCatalogId, toCatalog, toCodes) {
+  const renamed = [];
+  const dropped = [];
+  const migrate = (codes) => {
+    const result = migrateCourseCodes(codes, fromCatalogId, toCatalog, toCodes);
+    result.renamed.forEach((pair) => {
+      if (!renamed.some(([from]) => from === pair[0])) renamed.push(pair);
+    });
+    result.dropped.forEach((code) => {
+      if (!dropped.includes(code)) dropped.push(code);
+    });
+    return result.codes;
+  };
+
+  // Sections are specific to a catalog's offering; keep them only for
+  // courses whose code did not change
+  const selectedCourses = migrate(state.selectedCourses);
+  const selectedSections = {};
+  Object.entries(state.selectedSections || {}).forEach(([code, section]) => {
+    if (selectedCourses.includes(code)) selectedSections[code] = section;
+  });
+
+  // Grade records are keyed by course code; a renamed course keeps its
+  // attempts and a dropped one loses them
+  const gradeRecords = {};
+  Object.entries(state.gradeRecords || {}).forEach(([code, attempts]) => {
+    const [target] = migrate([code]);
+    if (target) gradeRecords[target] = attempts;
+  });
+
+  return {
+    state: {
+      ...state,
+      gradeRecords,
+      catalog: toCatalog.id,
+      selectedCourses,
+      selectedSections,
+      completedCourses: migrate(state.completedCourses),
+      retakeCourses: migrate(state.retakeCourses || []),
+      roadmap: state.roadmap.map((semester) => ({
+        ...semester,
+        courses: migrate(semester.courses),
+      })),
+    },
+    renamed,
+    dropped,
+  };
+}
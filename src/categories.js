@@ -0,0 +1,17 @@
+// Course categories the UI knows how to style. Each maps to a CSS class that
+// colours the category badge on course cards.
+export const CATEGORY_CLASSES = {
+  "CSE Core": "category-core",
+  "SEPS Core": "category-seps",
+  "University Core": "category-university",
+  "CSE Major Capstone Design": "category-capstone",
+  "CSE Specialized Elective": "category-elective",
+  "Open Elective": "category-open-elective",
+  "Internship / Co-op": "category-internship",
+  "Algorithms and Computation Trail": "category-elective",
+  "Software Engineering Trail": "category-software",
+  "Networks Trail": "category-network",
+  "Computer Architecture and VLSI Trail": "category-architecture",
+  "Artificial Intelligence Trail": "category-ai",
+  "Bioinformatics Trail": "category-bio",
+};
@@ -0,0 +1,101 @@
+// Faceted filtering for the course list. Facet values come from the loaded
+// catalog; several values of one facet widen the match (OR), different facets
+// narrow it (AND). Counts for a facet are worked out with every other filter
+// applied, so each number is what the list would show after ticking it.
+
+export const DEFAULT_FILTERS = {
+  categories: [],
+  types: [],
+  credits: [],
+  prerequisitesMet: false,
+  sortByUnlocks: false,
+};
+
+const FACETS = {
+  categories: (course) => course.category,
+  types: (course) => course.type,
+  credits: (course) => String(course.credits),
+};
+
+// Saved filters with anything unexpected dropped
+export function normalizeFilters(raw) {
+  const filters = { ...DEFAULT_FILTERS };
+  if (!raw || typeof raw !== "object") return filters;
+  Object.keys(FACETS).forEach((facet) => {
+    if (Array.isArray(raw[facet])) {
+      filters[facet] = raw[facet].filter((value) => typeof value === "string");
+    }
+  });
+  filters.prerequisitesMet = raw.prerequisitesMet === true;
+  filters.sortByUnlocks = raw.sortByUnlocks === true;
+  return filters;
+}
+
+export function hasActiveFilters(filters) {
+  return (
+    Object.keys(FACETS).some((facet) => filters[facet].length > 0) ||
+    filters.prerequisitesMet
+  );
+}
+
+// helpers:
+//   hasUnmetPrerequisites  (course) => boolean
+//   getUnlockCount         (course) => number of courses it leads to
+function matches(course, filters, helpers, skipFacet) {
+  const facetsMatch = Object.entries(FACETS).every(
+    ([facet, valueOf]) =>
+      facet === skipFacet ||
+      filters[facet].length === 0 ||
+      filters[facet].includes(valueOf(course))
+  );
+  if (!facetsMatch) return false;
+  if (
+    skipFacet !== "prerequisitesMet" &&
+    filters.prerequisitesMet &&
+    helpers.hasUnmetPrerequisites(course)
+  ) {
+    return false;
+  }
+  return true;
+}
+
+export function applyFilters(courses, filters, helpers) {
+  const filtered = courses.filter((course) =>
+    matches(course, filters, helpers)
+  );
+  if (!filters.sortByUnlocks) return filtered;
+
+  const unlocks = new Map(
+    filtered.map((course) => [course.code, helpers.getUnlockCount(course)])
+  );
+  return filtered.sort(
+    (a, b) =>
+      unlocks.get(b.code) - unlocks.get(a.code) || a.code.localeCompare(b.code)
+  );
+}
+
+// Every facet value in the catalog with the number of matching courses.
+// `catalog` supplies the values, `courses` is what is being filtered.
+export function getFacetCounts(catalog, courses, filters, helpers) {
+  const counts = {};
+  Object.entries(FACETS).forEach(([facet, valueOf]) => {
+    const values = [...new Set(catalog.map(valueOf))];
+    values.sort((a, b) =>
+      facet === "credits" ? parseFloat(a) - parseFloat(b) : a.localeCompare(b)
+    );
+    const pool = courses.filter((course) =>
+      matches(course, filters, helpers, facet)
+    );
+    counts[facet] = values.map((value) => ({
+      value,
+      count: pool.filter((course) => valueOf(course) === value).length,
+    }));
+  });
+
+  counts.prerequisitesMet = courses.filter(
+    (course) =>
+      matches(course, filters, helpers, "prerequisitesMet") &&
+      !helpers.hasUnmetPrerequisites(course)
+  ).length;
+  return counts;
+}
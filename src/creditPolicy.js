@@ -0,0 +1,94 @@
+// Credit-load policy from the "creditLimits" section of data/rules.json.
+// The student's CGPA picks a load level and the semester type picks the
+// limits for that level:
+//
+//   probation  CGPA below `probationBelowCgpa`
+//   normal     everyone else (also when no CGPA is entered)
+//   overload   CGPA of at least `overloadMinCgpa`, with approval
+
+export const LOAD_LEVELS = {
+  probation: "Probation cap",
+  normal: "Normal load",
+  overload: "Overload (with approval)",
+};
+
+export function getSemesterTypes(rulesData) {
+  return (
+    (rulesData &&
+      rulesData.creditLimits &&
+      rulesData.creditLimits.semesterTypes) ||
+    []
+  );
+}
+
+// Semester type a roadmap term name suggests ("Summer 2027" is a summer)
+export function getSemesterTypeForName(rulesData, name) {
+  const types = getSemesterTypes(rulesData);
+  return (
+    types.find((type) =>
+      String(name || "")
+        .toLowerCase()
+        .includes(type.id)
+    ) || types[0]
+  );
+}
+
+export function canOverload(rulesData, cgpa) {
+  const policy = rulesData && rulesData.creditLimits;
+  return Boolean(policy) && cgpa !== null && cgpa >= policy.overloadMinCgpa;
+}
+
+// Limits for a student, or null if the catalog has no credit policy.
+//
+// options:
+//   cgpa              number, or null when unknown
+//   semesterType      id of a semester type (defaults to the first)
+//   overloadApproved  whether an overload has been approved
+//
+// Returns { maxCredits, maxCourses, level, semesterType, reason, notes }
+// where `reason` explains which rule sets the cap.
+export function getCreditLimits(rulesData, options = {}) {
+  const policy = rulesData && rulesData.creditLimits;
+  const types = getSemesterTypes(rulesData);
+  if (!policy || types.length === 0) return null;
+
+  const { cgpa = null, overloadApproved = false } = options;
+  const semesterType =
+    types.find((type) => type.id === options.semesterType) || types[0];
+  const notes = [];
+  const cgpaText = cgpa !== null ? cgpa.toFixed(2) : null;
+
+  let level = "normal";
+  let reason = `${LOAD_LEVELS.normal} for a ${semesterType.name} semester`;
+  if (cgpa !== null && cgpa < policy.probationBelowCgpa) {
+    level = "probation";
+    reason = `${LOAD_LEVELS.probation} for a ${
+      semesterType.name
+    } semester: CGPA ${cgpaText} is below ${policy.probationBelowCgpa.toFixed(
+      2
+    )}`;
+  } else if (overloadApproved && canOverload(rulesData, cgpa)) {
+    level = "overload";
+    reason = `${LOAD_LEVELS.overload} for a ${
+      semesterType.name
+    } semester: CGPA ${cgpaText} is at least ${policy.overloadMinCgpa.toFixed(
+      2
+    )}`;
+  } else if (overloadApproved) {
+    notes.push(
+      `An overload needs a CGPA of ${policy.overloadMinCgpa.toFixed(
+        2
+      )} or above${cgpaText ? ` (yours is ${cgpaText})` : ""}`
+    );
+  }
+
+  const limits = semesterType[level];
+  return {
+    maxCredits: limits.maxCredits,
+    maxCourses: limits.maxCourses,
+    level,
+    semesterType,
+    reason,
+    notes,
+  };
+}
@@ -0,0 +1,113 @@
+// Degree audit: counts completed and planned credits against the per-category
+// requirements defined in data/rules.json.
+
+// Drop courses that duplicate an alternative already counted. Completed
+// courses win over planned ones, so a planned alternative never hides a
+// completed one.
+function countAlternativesOnce(codes, completed, alternativeGroups) {
+  const counted = new Set(codes);
+  alternativeGroups.forEach((group) => {
+    const taken = group.filter((code) => counted.has(code));
+    if (taken.length <= 1) return;
+    const keep = taken.find((code) => completed.has(code)) || taken[0];
+    taken.forEach((code) => {
+      if (code !== keep) counted.delete(code);
+    });
+  });
+  return counted;
+}
+
+// Build the audit.
+//
+// options:
+//   completed          Set of completed course codes
+//   planned            Set of course codes planned but not yet completed
+//   alternativeGroups  arrays of mutually exclusive course codes
+export function computeDegreeAudit(courses, requirementsData, options) {
+  const { completed, planned, alternativeGroups = [] } = options;
+  const courseMap = new Map(courses.map((c) => [c.code, c]));
+
+  const counted = countAlternativesOnce(
+    [...completed, ...planned].filter((code) => courseMap.has(code)),
+    completed,
+    alternativeGroups
+  );
+
+  const requirements = (requirementsData.requirements || []).map(
+    (requirement) => {
+      const inCategory = (code) =>
+        requirement.categories.includes(courseMap.get(code).category);
+
+      const completedCodes = [...counted].filter(
+        (code) => completed.has(code) && inCategory(code)
+      );
+      const plannedCodes = [...counted].filter(
+        (code) => !completed.has(code) && inCategory(code)
+      );
+      const sumCredits = (codes) =>
+        codes.reduce((total, code) => total + courseMap.get(code).credits, 0);
+
+      const completedCredits = sumCredits(completedCodes);
+      const plannedCredits = sumCredits(plannedCodes);
+      const remainingCredits = Math.max(
+        requirement.credits - completedCredits - plannedCredits,
+        0
+      );
+
+      // For categories where every course is required, list what's missing;
+      // an alternative group is outstanding only if none of it is taken
+      const outstandingCourses = [];
+      if (requirement.allCourses) {
+        const handled = new Set();
+        courses
+          .filter((course) => requirement.categories.includes(course.category))
+          .forEach((course) => {
+            if (handled.has(course.code)) return;
+            const group = alternativeGroups.find((g) =>
+              g.includes(course.code)
+            ) || [course.code];
+            group.forEach((code) => handled.add(code));
+            if (!group.some((code) => counted.has(code))) {
+              outstandingCourses.push(group.join(" or "));
+            }
+          });
+      }
+
+      return {
+        ...requirement,
+        completedCredits,
+        plannedCredits,
+        remainingCredits,
+        outstandingCourses,
+        isComplete:
+          remainingCredits === 0 &&
+          outstandingCourses.length === 0 &&
+          plannedCodes.length === 0,
+        isCovered: remainingCredits === 0 && outstandingCourses.length === 0,
+      };
+    }
+  );
+
+  const completedCredits = requirements.reduce(
+    (total, r) => total + Math.min(r.completedCredits, r.credits),
+    0
+  );
+  const plannedCredits = requirements.reduce(
+    (total, r) =>
+      total +
+      Math.min(r.plannedCredits, Math.max(r.credits - r.completedCredits, 0)),
+    0
+  );
+
+  return {
+    totalCredits: requirementsData.totalCredits,
+    completedCredits,
+    plannedCredits,
+    remainingCredits: Math.max(
+      requirementsData.totalCredits - completedCredits - plannedCredits,
+      0
+    ),
+    requirements,
+    canGraduate: requirements.every((r) => r.isCovered),
+  };
+}
@@ -0,0 +1,144 @@
+// Semester cost calculation driven by the versioned fee schedules in
+// data/fees.json. Everything here is pure so it can run outside the browser.
+
+const coversYear = (schedule, year) => {
+  const { from, to } = schedule.admissionYears || {};
+  return (from == null || year >= from) && (to == null || year <= to);
+};
+
+// Pick the schedule for an admission year. Years outside every range fall
+// back to the schedule whose range starts closest to that year.
+export function selectFeeSchedule(feeData, admissionYear) {
+  const schedules = (feeData && feeData.schedules) || [];
+  if (schedules.length === 0) return null;
+
+  const year = parseInt(admissionYear);
+  if (!Number.isNaN(year)) {
+    const match = schedules.find((schedule) => coversYear(schedule, year));
+    if (match) return match;
+  }
+
+  const startYear = (schedule) =>
+    (schedule.admissionYears && schedule.admissionYears.from) || 0;
+  if (Number.isNaN(year)) {
+    return schedules.reduce((a, b) => (startYear(b) > startYear(a) ? b : a));
+  }
+  return schedules.reduce((a, b) =>
+    Math.abs(startYear(b) - year) < Math.abs(startYear(a) - year) ? b : a
+  );
+}
+
+// Courses that trigger a conditional fee
+function getTriggeringCourses(rule, courses) {
+  switch (rule.type) {
+    case "courses":
+      return courses.filter((course) => rule.courses.includes(course.code));
+    case "courseType":
+      return courses.filter(
+        (course) =>
+          course.type === rule.courseType &&
+          !(rule.exceptCourses || []).includes(course.code)
+      );
+    case "category":
+      return courses.filter((course) =>
+        rule.categories.includes(course.category)
+      );
+    default:
+      console.warn(`Unknown fee rule type: ${rule.type}`);
+      return [];
+  }
+}
+
+// Split an amount into equal installments; the last one absorbs rounding
+export function splitInstallments(amount, count) {
+  const installments = Math.max(1, parseInt(count) || 1);
+  const share = Math.floor(amount / installments);
+  return Array.from({ length: installments }, (_, index) =>
+    index === installments - 1 ? amount - share * (installments - 1) : share
+  );
+}
+
+// Cost of taking the given course objects in one semester under a schedule.
+// Each conditional fee is charged once, however many courses trigger it.
+//
+// adjustments (all optional):
+//   retakeCourses          codes of courses being retaken
+//   retakeDiscountPercent  discount on the tuition of retaken courses
+//   waiverType             "percent" or "fixed" tuition waiver/scholarship
+//   waiverValue            percentage or amount of the waiver
+//   installments           number of equal payments
+export function calculateSemesterCost(courses, schedule, adjustments = {}) {
+  const {
+    retakeCourses = [],
+    retakeDiscountPercent = 0,
+    waiverType = "percent",
+    waiverValue = 0,
+    installments = 1,
+  } = adjustments;
+
+  const credits = courses.reduce((total, course) => total + course.credits, 0);
+
+  const tuitionLines = courses.map((course) => {
+    const amount = course.credits * schedule.perCredit;
+    const retake = retakeCourses.includes(course.code);
+    const discountPercent = Math.min(Math.max(retakeDiscountPercent, 0), 100);
+    const discount = retake ? Math.round((amount * discountPercent) / 100) : 0;
+    return {
+      code: course.code,
+      credits: course.credits,
+      amount,
+      retake,
+      discount,
+    };
+  });
+  const tuition = tuitionLines.reduce((sum, line) => sum + line.amount, 0);
+  const retakeDiscount = tuitionLines.reduce(
+    (sum, line) => sum + line.discount,
+    0
+  );
+
+  // Waivers and scholarships apply to tuition only, after retake discounts
+  const discountedTuition = tuition - retakeDiscount;
+  const waiver =
+    waiverType === "fixed"
+      ? Math.min(Math.max(waiverValue, 0), discountedTuition)
+      : Math.round(
+          (discountedTuition * Math.min(Math.max(waiverValue, 0), 100)) / 100
+        );
+
+  const fixedFees = (schedule.fixedFees || []).map((fee) => ({
+    id: fee.id,
+    name: fee.name,
+    amount: fee.amount,
+  }));
+
+  const conditionalFees = (schedule.conditionalFees || [])
+    .map((fee) => ({
+      id: fee.id,
+      name: fee.name,
+      amount: fee.amount,
+      triggeredBy: getTriggeringCourses(fee.rule, courses).map((c) => c.code),
+    }))
+    .filter((fee) => fee.triggeredBy.length > 0);
+
+  const total =
+    tuition +
+    fixedFees.reduce((sum, fee) => sum + fee.amount, 0) +
+    conditionalFees.reduce((sum, fee) => sum + fee.amount, 0);
+  const payable = total - retakeDiscount - waiver;
+
+  return {
+    currency: schedule.currency,
+    credits,
+    perCredit: schedule.perCredit,
+    tuition,
+    tuitionLines,
+    fixedFees,
+    conditionalFees,
+    total,
+    retakeDiscount,
+    waiver,
+    payable,
+    installments: splitInstallments(payable, installments),
+  };
+}
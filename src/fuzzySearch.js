@@ -0,0 +1,188 @@
+// Ranked fuzzy course search. A query is tried against each course in several
+// ways, strongest first; the best match wins and its score ranks the course.
+//
+//   code       "cse225", "cse 225", "225"   exact, prefix or partial code
+//   phrase     "data struct"                text starting a word in the name
+//                                           or category (anywhere: "infix")
+//   words      "struct data", "alg ds"      every word starts a word somewhere
+//   acronym    "ds", "dsa"                  initials of the course name
+//   scattered  "dstrc"                      letters in order within the name
+//
+// Matches carry the character ranges to highlight in each field.
+
+const SCORES = {
+  codeExact: 1000,
+  codePrefix: 800,
+  code: 600,
+  phrase: 500,
+  acronym: 450,
+  words: 400,
+  infix: 300,
+  scattered: 100,
+};
+
+const FIELDS = ["code", "name", "category"];
+
+const compact = (text) => text.toLowerCase().replace(/[^a-z0-9]/g, "");
+
+// Start offsets and lowercase text of every word in a string
+function wordsOf(text) {
+  const words = [];
+  const pattern = /[A-Za-z0-9]+/g;
+  let match;
+  while ((match = pattern.exec(text))) {
+    words.push({ start: match.index, text: match[0].toLowerCase() });
+  }
+  return words;
+}
+
+function matchCode(code, query) {
+  const target = code.toLowerCase();
+  const wanted = compact(query);
+  if (!wanted) return null;
+  const index = target.indexOf(wanted);
+  if (index === -1) return null;
+  const score =
+    wanted === target
+      ? SCORES.codeExact
+      : index === 0
+        ? SCORES.codePrefix
+        : SCORES.code;
+  return {
+    score: score + wanted.length,
+    matches: { code: [[index, index + wanted.length]] },
+  };
+}
+
+function matchPhrase(course, query) {
+  const wanted = query.toLowerCase().replace(/\s+/g, " ");
+  for (const field of ["name", "category"]) {
+    const index = course[field].toLowerCase().indexOf(wanted);
+    if (index === -1) continue;
+    // Prefer matches at the start of a word, and names over categories
+    const atWordStart =
+      index === 0 || /[^A-Za-z0-9]/.test(course[field][index - 1]);
+    return {
+      score:
+        (atWordStart ? SCORES.phrase : SCORES.infix) -
+        (field === "category" ? 100 : 0) +
+        wanted.length,
+      matches: { [field]: [[index, index + wanted.length]] },
+    };
+  }
+  return null;
+}
+
+function matchAcronym(name, query) {
+  const wanted = compact(query);
+  if (wanted.length < 2) return null;
+  const words = wordsOf(name);
+  const initials = words.map((word) => word.text[0]).join("");
+  const index = initials.indexOf(wanted);
+  if (index === -1) return null;
+  return {
+    score: SCORES.acronym - index * 10,
+    matches: {
+      name: words
+        .slice(index, index + wanted.length)
+        .map((word) => [word.start, word.start + 1]),
+    },
+  };
+}
+
+// Every query word must start a word in the code, name or category
+function matchWords(course, query) {
+  const tokens = query.toLowerCase().split(/\s+/).filter(Boolean);
+  if (tokens.length === 0) return null;
+  const matches = {};
+  for (const token of tokens) {
+    let found = false;
+    for (const field of FIELDS) {
+      const word = wordsOf(course[field]).find((w) => w.text.startsWith(token));
+      if (word) {
+        (matches[field] = matches[field] || []).push([
+          word.start,
+          word.start + token.length,
+        ]);
+        found = true;
+        break;
+      }
+    }
+    if (!found) return null;
+  }
+  return { score: SCORES.words + tokens.join("").length, matches };
+}
+
+// Query letters appear in order in the name; fewer gaps score higher
+function matchScattered(name, query) {
+  const wanted = compact(query);
+  if (wanted.length < 3) return null;
+  const text = name.toLowerCase();
+  const ranges = [];
+  let position = 0;
+  let gaps = 0;
+  for (const char of wanted) {
+    const index = text.indexOf(char, position);
+    if (index === -1) return null;
+    if (ranges.length > 0 && ranges[ranges.length - 1][1] === index) {
+      ranges[ranges.length - 1][1] = index + 1;
+    } else {
+      if (ranges.length > 0) gaps += 1;
+      ranges.push([index, index + 1]);
+    }
+    position = index + 1;
+  }
+  // Letters spread all over the name are a coincidence, not a match
+  if (gaps > Math.floor(wanted.length / 2)) return null;
+  return {
+    score: Math.max(1, SCORES.scattered - gaps * 10),
+    matches: { name: ranges },
+  };
+}
+
+// Best match of a query against a course, or null if it does not match.
+// Returns { score, matches: { code?, name?, category? } } with [start, end)
+// ranges per field.
+export function searchCourse(course, query) {
+  const trimmed = (query || "").trim();
+  if (!trimmed) return { score: 0, matches: {} };
+
+  const candidates = [
+    matchCode(course.code, trimmed),
+    matchPhrase(course, trimmed),
+    matchAcronym(course.name, trimmed),
+    matchWords(course, trimmed),
+    matchScattered(course.name, trimmed),
+  ].filter(Boolean);
+  if (candidates.length === 0) return null;
+  return candidates.reduce((best, candidate) =>
+    candidate.score > best.score ? candidate : best
+  );
+}
+
+// Courses matching a query, best first (ties keep catalog order)
+export function rankCourses(courses, query) {
+  return courses
+    .map((course, index) => ({
+      course,
+      index,
+      result: searchCourse(course, query),
+    }))
+    .filter((entry) => entry.result)
+    .sort((a, b) => b.result.score - a.result.score || a.index - b.index)
+    .map((entry) => ({ course: entry.course, ...entry.result }));
+}
+
+// Wrap the matched ranges of a text in <mark>
+export function highlightMatches(text, ranges) {
+  if (!ranges || ranges.length === 0) return text;
+  const sorted = [...ranges].sort((a, b) => a[0] - b[0]);
+  let html = "";
+  let position = 0;
+  sorted.forEach(([start, end]) => {
+    if (start < position) return; // Overlapping range
+    html += `${text.slice(position, start)}<mark>${text.slice(start, end)}</mark>`;
+    position = end;
+  });
+  return html + text.slice(position);
+}
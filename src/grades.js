@@ -0,0 +1,122 @@
+// Grades, GPA and CGPA. The letter-grade scale is the "gradeScale" section of
+// data/rules.json; grades without points (W, I) are recorded but left out of
+// every average.
+//
+// Grade records are kept per course as a list of attempts, oldest first:
+//
+//   { "CSE115": [{ term: "Spring 2024", grade: "F" }, { term: "Fall 2024", grade: "B+" }] }
+//
+// A term GPA counts every attempt made that term. The CGPA counts only the
+// latest graded attempt of each course, so a retake replaces the earlier grade.
+
+export function getGradeScale(rulesData) {
+  return (rulesData && rulesData.gradeScale) || [];
+}
+
+export function getGradePoints(scale, grade) {
+  const entry = scale.find((item) => item.grade === grade);
+  return entry && typeof entry.points === "number" ? entry.points : null;
+}
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// The attempt that counts towards the CGPA, or null if none is graded
+export function getCountedAttempt(attempts, scale) {
+  for (let index = attempts.length - 1; index >= 0; index--) {
+    if (getGradePoints(scale, attempts[index].grade) !== null) {
+      return attempts[index];
+    }
+  }
+  return null;
+}
+
+// Returns { cgpa, credits, qualityPoints, terms: [{ term, gpa, credits }] }.
+// Averages are null when nothing graded counts towards them. Terms are in
+// the order they first appear; attempts without a term are grouped under "".
+export function computeGpa(courses, records, scale) {
+  const courseMap = new Map(courses.map((course) => [course.code, course]));
+  const terms = new Map();
+  let credits = 0;
+  let qualityPoints = 0;
+
+  Object.entries(records).forEach(([code, attempts]) => {
+    const course = courseMap.get(code);
+    if (!course) return;
+
+    attempts.forEach((attempt) => {
+      const points = getGradePoints(scale, attempt.grade);
+      if (points === null) return;
+      const term = terms.get(attempt.term) || { credits: 0, qualityPoints: 0 };
+      term.credits += course.credits;
+      term.qualityPoints += points * course.credits;
+      terms.set(attempt.term, term);
+    });
+
+    const counted = getCountedAttempt(attempts, scale);
+    if (counted) {
+      credits += course.credits;
+      qualityPoints += getGradePoints(scale, counted.grade) * course.credits;
+    }
+  });
+
+  return {
+    cgpa: credits > 0 ? round2(qualityPoints / credits) : null,
+    credits,
+    qualityPoints,
+    terms: [...terms.entries()].map(([term, totals]) => ({
+      term,
+      credits: totals.credits,
+      gpa:
+        totals.credits > 0
+          ? round2(totals.qualityPoints / totals.credits)
+          : null,
+    })),
+  };
+}
+
+// Minimum average grade point needed across the planned courses to bring the
+// CGPA to `target`. Planned courses that already have a graded attempt are
+// retakes: their new grade replaces the old one.
+//
+// Returns { points, grade, credits, status } where status is "reached" (any
+// passing grade will do), "possible" or "impossible" (more than the top grade
+// would be needed), and grade is the lowest letter grade that is enough.
+export function getRequiredAverage(courses, records, scale, planned, target) {
+  const courseMap = new Map(courses.map((course) => [course.code, course]));
+  const current = computeGpa(courses, records, scale);
+  let credits = current.credits;
+  let qualityPoints = current.qualityPoints;
+  let plannedCredits = 0;
+
+  planned.forEach((code) => {
+    const course = courseMap.get(code);
+    if (!course) return;
+    plannedCredits += course.credits;
+    const counted = getCountedAttempt(records[code] || [], scale);
+    if (counted) {
+      credits -= course.credits;
+      qualityPoints -= getGradePoints(scale, counted.grade) * course.credits;
+    }
+  });
+
+  if (plannedCredits === 0) {
+    return { points: null, grade: null, credits: 0, status: "impossible" };
+  }
+
+  const needed =
+    (target * (credits + plannedCredits) - qualityPoints) / plannedCredits;
+  const graded = scale
+    .filter((item) => typeof item.points === "number")
+    .sort((a, b) => a.points - b.points);
+  const enough = graded.find((item) => item.points >= needed - 1e-9);
+  let status = "possible";
+  if (!enough) status = "impossible";
+  else if (needed <= 0) status = "reached";
+
+  return {
+    points: round2(Math.max(needed, 0)),
+    grade: enough ? enough.grade : null,
+    credits: plannedCredits,
+    status,
+  };
+}
@@ -1,49 +1,413 @@
+import { generateGraduationPlan } from "./planGenerator.js";
+import { PlannerCore, getCreditRequirement } from "./plannerCore.js";
+import {
+  getChooseRule,
+  isTrailCourse,
+  isTrailCourseAllowed,
+  getRuleViolations,
+} from "./ruleEngine.js";
+import {
+  DAY_ORDER,
+  DAY_NAMES,
+  toMinutes,
+  getClashingCourses,
+  isLabCompatible,
+} from "./schedule.js";
+import {
+  PLAN_FILE_VERSION,
+  validatePlanState,
+  encodeShareLink,
+  decodeShareLink,
+} from "./planShare.js";
+import {
+  buildPrerequisiteGraph,
+  getChain,
+  layoutGraph,
+  NODE_WIDTH,
+  NODE_HEIGHT,
+} from "./prerequisiteGraph.js";
+import { CATEGORY_CLASSES } from "./categories.js";
+import {
+  getSemesterTypes,
+  getSemesterTypeForName,
+  canOverload,
+  getCreditLimits,
+} from "./creditPolicy.js";
+import {
+  getGradeScale,
+  getGradePoints,
+  computeGpa,
+  getRequiredAverage,
+} from "./grades.js";
+import { parseTranscript, buildTranscript } from "./transcriptImport.js";
+import {
+  buildAdvisingSheet,
+  advisingSheetToCsv,
+  advisingSheetToMarkdown,
+  formatMoney,
+  getTypeName,
+} from "./advisingSheet.js";
+import { hasSemesterDates, buildCalendar } from "./calendarExport.js";
+import { migrateStorage } from "./storage.js";
+import {
+  createScenario,
+  normalizeScenarios,
+  getNextScenarioName,
+  getUniqueScenarioName,
+  summarizeScenario,
+} from "./scenarios.js";
+import { searchCourse, rankCourses, highlightMatches } from "./fuzzySearch.js";
+import {
+  DEFAULT_FILTERS,
+  normalizeFilters,
+  hasActiveFilters,
+  applyFilters,
+  getFacetCounts,
+} from "./courseFilters.js";
+import { validateCatalog, validateRules } from "./catalogValidator.js";
+import {
+  DEFAULT_MANIFEST,
+  selectCatalog,
+  migratePlannerState,
+} from "./catalogs.js";
+
+// Text typed, pasted or loaded by the user and shown with innerHTML
+function escapeHtml(text) {
+  return String(text).replace(
+    /[&<>"]/g,
+    (char) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[char]
+  );
+}
+
+// Load the list of available curriculum catalogs
+async function loadCatalogManifest() {
+  try {
+    const response = await fetch("./data/catalogs.json");
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    return await response.json();
+  } catch (error) {
+    console.error("Error loading catalog manifest ", error);
+    return DEFAULT_MANIFEST; // Fall back to the bundled CSE catalog
+  }
+}
+
 // Load courses data using fetch instead of import assertion
-async function loadCoursesData() {
+async function loadCoursesData(url = "./data/courses.json") {
   try {
-    const response = await fetch("./src/data/courses.json");
+    const response = await fetch(url);
     if (!response.ok) {
       throw new Error(`HTTP error! status: ${response.status}`);
     }
     const data = await response.json();
+    if (!Array.isArray(data)) return data; // Reported by the validator
     // Sort courses alphabetically by course code
-    return data.sort((a, b) => a.code.localeCompare(b.code));
+    return data.sort((a, b) =>
+      String((a && a.code) || "").localeCompare(String((b && b.code) || ""))
+    );
   } catch (error) {
     console.error("Error loading courses ", error);
     return []; // Return empty array if loading fails
   }
 }
 
+// Load the versioned fee schedules
+async function loadFeesData(url = "./data/fees.json") {
+  try {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    return await response.json();
+  } catch (error) {
+    console.error("Error loading fee schedules ", error);
+    return { schedules: [] }; // Cost is shown as unavailable without data
+  }
+}
+
+// Load the class sections offered this semester
+async function loadSectionsData(url = "./data/sections.json") {
+  try {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    return await response.json();
+  } catch (error) {
+    console.error("Error loading sections ", error);
+    return { semester: "", sections: {} }; // Plan without time slots
+  }
+}
+
+// Load the curriculum rules and per-category degree requirements
+async function loadRulesData(url = "./data/rules.json") {
+  try {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    return await response.json();
+  } catch (error) {
+    console.error("Error loading curriculum rules ", error);
+    // Plan without rules; the audit is hidden without requirements
+    return { totalCredits: 0, requirements: [], rules: [] };
+  }
+}
+
+// Check a loaded catalog; warnings go to the console, errors are returned
+function checkCatalogData(catalog, catalogData) {
+  const { errors, warnings } = validateCatalog(catalogData.courses);
+  if (errors.length === 0) {
+    warnings.push(...validateRules(catalogData.rules, catalogData.courses));
+  }
+  warnings.forEach((problem) => {
+    console.warn(`Catalog ${catalog.id}: ${problem.message}`);
+  });
+  return errors;
+}
+
+// Load everything a catalog entry from the manifest points to
+async function loadCatalogData(catalog) {
+  const [courses, rules, fees, sections] = await Promise.all([
+    loadCoursesData(catalog.courses),
+    loadRulesData(catalog.rules),
+    loadFeesData(catalog.fees),
+    loadSectionsData(catalog.sections),
+  ]);
+  return { courses, rules, fees, sections };
+}
+
+// Undo steps kept per session
+const HISTORY_LIMIT = 50;
+
 class CoursePlanner {
-  constructor(coursesData) {
-    this.courses = coursesData;
-    // Initialize selectedCourses as an empty Set
-    this.selectedCourses = new Set();
-    this.maxCredits = 14;
-    this.maxCourses = 8;
-    this.categoryFilter = "";
-    this.typeFilter = "";
-    this.electiveTrailSelections = {
-      firstTrail: null, // For first 2 electives (6 credits)
-      thirdTrail: null, // For third elective (3 credits)
+  constructor(catalogData, manifest, catalog) {
+    // Curriculum catalog in use and the others the student can switch to
+    this.manifest = manifest;
+    this.catalog = catalog;
+    // The selection, transcript, limits and cost settings, with the rules
+    // for them, live in the headless planner core
+    this.core = new PlannerCore(catalogData);
+    this.core.setAdmissionYear(
+      localStorage.getItem("admissionYear") || String(new Date().getFullYear())
+    );
+    // Letter grades per course, one entry per attempt (see grades.js)
+    this.gradeRecords = {};
+    // Rows of the transcript being previewed (see transcriptImport.js)
+    this.transcriptRows = [];
+    // Credit-load policy inputs; the limits they give are in creditLimits
+    this.creditPolicy = {
+      cgpa: null,
+      semesterType: null,
+      overloadApproved: false,
     };
-
-    // Define alternative course groups
-    this.alternativeGroups = [
-      ["POL101", "POL104"], // Political Science alternatives
-      ["ECO101", "ECO104"], // Economics alternatives
-      ["SOC101", "ANT101", "ENV203"], // Social Sciences alternatives
-      ["BEN205", "ENG115"], // Language/Literature alternatives
-      ["HIS101", "HIS103"], // History alternatives
-    ];
+    this.creditLimits = null;
+    // Multi-semester roadmap: an ordered list of named semesters
+    this.roadmap = [];
+    this.viewMode = "semester";
+    // Prerequisite graph view state
+    this.graphFocus = null;
+    this.graphShowIsolated = false;
+    // Faceted filters for the available courses list
+    this.filters = { ...DEFAULT_FILTERS };
+    // Undo/redo stacks of plan snapshots, kept for the browser session
+    this.history = { undo: [], redo: [] };
+    this.toastTimer = null;
+    // Named plan scenarios: { activeId, scenarios: [{ id, name, state }] }
+    this.scenarios = null;
+    // Name and ID printed on the advising sheet
+    this.studentInfo = { name: "", id: "" };
+    // Keyboard course picker (Ctrl+K)
+    this.paletteResults = [];
+    this.paletteIndex = 0;
+
+    this.setCatalogData(catalogData);
 
     this.initializeElements();
     this.bindEvents();
     this.loadTheme();
     // Load previously selected courses from localStorage
     this.loadSelectedCourses();
+    this.loadCompletedCourses();
+    this.loadGradeRecords();
+    this.loadStudentInfo();
+    this.loadRoadmap();
+    this.loadCostAdjustments();
+    this.loadCreditPolicy();
+    this.loadFilters();
+    this.loadHistory();
+    this.loadScenarios();
+    // Loading fills the core piece by piece; save and redraw only once the
+    // whole plan is in
+    this.core.on("change", () => this.handlePlanChange());
+    this.migrateToCatalogVersion();
+    this.loadViewMode();
     this.renderCourses();
     this.updateStats();
+    // A share link in the URL takes precedence over the saved plan
+    this.loadSharedPlanFromUrl();
+  }
+
+  // The page reads the plan through these; the core owns it and every
+  // change goes through its methods
+  get selectedCourses() {
+    return this.core.selectedCourses;
+  }
+  get selectedSections() {
+    return this.core.selectedSections;
+  }
+  get completedCourses() {
+    return this.core.completedCourses;
+  }
+  get maxCredits() {
+    return this.core.maxCredits;
+  }
+  get maxCourses() {
+    return this.core.maxCourses;
+  }
+  get admissionYear() {
+    return this.core.admissionYear;
+  }
+  get retakeCourses() {
+    return this.core.retakeCourses;
+  }
+  get costAdjustments() {
+    return this.core.costAdjustments;
+  }
+  get courses() {
+    return this.core.courses;
+  }
+  get rulesData() {
+    return this.core.rulesData;
+  }
+  get sectionsData() {
+    return this.core.sectionsData;
+  }
+  get alternativeGroups() {
+    return this.core.alternativeGroups;
+  }
+  get trailRule() {
+    return this.core.trailRule;
+  }
+
+  // Courses, rules, fees and sections of the current catalog
+  setCatalogData(catalogData) {
+    this.core.setCatalog(catalogData);
+    this.prerequisiteGraph = buildPrerequisiteGraph(this.courses);
+    this.unlockCounts = new Map();
+  }
+
+  // Every change to the plan goes through the core: save it and redraw
+  handlePlanChange() {
+    this.saveSelectedCourses();
+    this.saveCompletedCourses();
+    this.saveCostAdjustments();
+    localStorage.setItem("admissionYear", this.admissionYear);
+    this.updateStats();
+    this.renderCourses();
+  }
+
+  // Load another catalog and carry the plan over, renaming or dropping
+  // course codes the new catalog does not have
+  async switchCatalog(catalogId) {
+    const catalog = this.manifest.catalogs.find((c) => c.id === catalogId);
+    if (!catalog || catalog.id === this.catalog.id) return;
+
+    const catalogData = await loadCatalogData(catalog);
+    const errors = checkCatalogData(catalog, catalogData);
+    if (errors.length > 0) {
+      alert(
+        `Could not load the ${catalog.name} catalog:\n\n${errors
+          .map((problem) => problem.message)
+          .join("\n")}`
+      );
+      this.catalogSelect.value = this.catalog.id;
+      return;
+    }
+
+    const { state, renamed, dropped } = migratePlannerState(
+      this.getHistoryState(),
+      this.catalog.id,
+      catalog,
+      catalogData.courses.map((c) => c.code)
+    );
+
+    this.catalog = catalog;
+    localStorage.setItem("catalog", catalog.id);
+    if (catalog.version) {
+      localStorage.setItem("catalogVersion", catalog.version);
+    } else {
+      localStorage.removeItem("catalogVersion");
+    }
+    this.setCatalogData(catalogData);
+    this.graphFocus = null;
+    this.updateCatalogInfo();
+    this.renderCreditPolicyInputs();
+    this.creditLimits = getCreditLimits(this.rulesData, this.creditPolicy);
+    // The trail list is rebuilt from the new catalog on the next render
+    this.generatorTrailSelect.length = 1;
+    this.applyPlannerState(state);
+    // Earlier snapshots use the old catalog's course codes
+    this.resetHistory();
+    if (this.viewMode === "graph") this.renderGraph();
+
+    const notes = [
+      ...renamed.map(([from, to]) => `${from} → ${to}`),
+      ...dropped.map((code) => `${code} (not offered, removed)`),
+    ];
+    if (notes.length > 0) {
+      alert(
+        `Switched to ${catalog.name}. Course changes:\n\n${notes.join("\n")}`
+      );
+    }
+  }
+
+  // Course data changes between versions of a catalog (renamed or withdrawn
+  // courses). The saved plan remembers the version it was made with and is
+  // migrated when that changes, as on a catalog switch; the catalog's
+  // codeMap entry under its own id lists the renames.
+  migrateToCatalogVersion() {
+    const version = this.catalog.version;
+    if (!version) return;
+    const savedVersion = localStorage.getItem("catalogVersion");
+    localStorage.setItem("catalogVersion", version);
+    if (!savedVersion || savedVersion === version) return;
+
+    const { state, renamed, dropped } = migratePlannerState(
+      this.getHistoryState(),
+      this.catalog.id,
+      this.catalog,
+      this.courses.map((c) => c.code)
+    );
+    if (renamed.length === 0 && dropped.length === 0) return;
+
+    this.applyPlannerState(state);
+    // Earlier snapshots use the old course codes
+    this.resetHistory();
+
+    const notes = [
+      ...renamed.map(([from, to]) => `${from} → ${to}`),
+      ...dropped.map((code) => `${code} (no longer offered, removed)`),
+    ];
+    alert(
+      `The ${this.catalog.name} course data has been updated. Changes to your plan:\n\n${notes.join(
+        "\n"
+      )}`
+    );
+  }
+
+  updateCatalogInfo() {
+    this.catalogSelect.innerHTML = this.manifest.catalogs
+      .map(
+        (catalog) => `<option value="${catalog.id}">${catalog.name}</option>`
+      )
+      .join("");
+    this.catalogSelect.value = this.catalog.id;
+    this.catalogSelect.disabled = this.manifest.catalogs.length < 2;
+    if (this.catalog.program) {
+      this.subtitleElement.textContent = `${this.catalog.program} Semester Course Planner`;
+    }
   }
 
   // Method to load selected courses from localStorage
@@ -54,19 +418,26 @@ class CoursePlanner {
         const savedCourses = JSON.parse(savedCoursesJSON);
         // Validate that the saved data is an array before using it
         if (Array.isArray(savedCourses)) {
-          // Clear the current set and add the loaded course codes
-          this.selectedCourses = new Set(savedCourses);
+          const savedSections = JSON.parse(
+            localStorage.getItem("selectedSections")
+          );
+          // Replace the current selection with the loaded course codes
+          this.core.setState({
+            selectedCourses: savedCourses,
+            selectedSections:
+              savedSections && typeof savedSections === "object"
+                ? savedSections
+                : {},
+          });
         } else {
           console.warn(
             "Saved selectedCourses in localStorage is not an array, initializing as empty."
           );
-          this.selectedCourses = new Set(); // Initialize as empty if invalid
         }
       }
-      // If no item is found in localStorage, selectedCourses remains an empty Set as initialized in the constructor
+      // Otherwise the selection stays empty, as the core starts out
     } catch (error) {
       console.error("Error loading selected courses from localStorage:", error);
-      this.selectedCourses = new Set(); // Fallback to empty set on error
     }
   }
 
@@ -76,14 +447,314 @@ class CoursePlanner {
       // Convert the Set to an Array before stringifying
       const coursesArray = Array.from(this.selectedCourses);
       localStorage.setItem("selectedCourses", JSON.stringify(coursesArray));
+      // Only sections of courses that are still selected
+      const sections = {};
+      Object.entries(this.selectedSections).forEach(([code, section]) => {
+        if (this.selectedCourses.has(code)) sections[code] = section;
+      });
+      localStorage.setItem("selectedSections", JSON.stringify(sections));
     } catch (error) {
       console.error("Error saving selected courses to localStorage:", error);
     }
   }
 
+  // Method to load the completed-courses transcript from localStorage
+  loadCompletedCourses() {
+    try {
+      const savedCompletedJSON = localStorage.getItem("completedCourses");
+      if (savedCompletedJSON) {
+        const savedCompleted = JSON.parse(savedCompletedJSON);
+        if (Array.isArray(savedCompleted)) {
+          this.core.setState({ completedCourses: savedCompleted });
+        } else {
+          console.warn(
+            "Saved completedCourses in localStorage is not an array, initializing as empty."
+          );
+        }
+      }
+    } catch (error) {
+      console.error(
+        "Error loading completed courses from localStorage:",
+        error
+      );
+    }
+  }
+
+  // Method to save the completed-courses transcript to localStorage
+  saveCompletedCourses() {
+    try {
+      const completedArray = Array.from(this.completedCourses);
+      localStorage.setItem("completedCourses", JSON.stringify(completedArray));
+    } catch (error) {
+      console.error("Error saving completed courses to localStorage:", error);
+    }
+  }
+
+  // Method to load the multi-semester roadmap from localStorage
+  loadRoadmap() {
+    try {
+      const savedRoadmapJSON = localStorage.getItem("roadmap");
+      if (savedRoadmapJSON) {
+        const savedRoadmap = JSON.parse(savedRoadmapJSON);
+        if (Array.isArray(savedRoadmap)) {
+          this.roadmap = savedRoadmap
+            .filter((semester) => semester && Array.isArray(semester.courses))
+            .map((semester) => ({
+              id: semester.id || this.createSemesterId(),
+              name: String(semester.name || "Untitled Semester"),
+              maxCredits: parseFloat(semester.maxCredits) || this.maxCredits,
+              maxCourses: parseInt(semester.maxCourses) || this.maxCourses,
+              courses: semester.courses.filter((code) =>
+                this.courses.some((c) => c.code === code)
+              ),
+              reasons: semester.reasons || {},
+            }));
+        } else {
+          console.warn(
+            "Saved roadmap in localStorage is not an array, initializing as empty."
+          );
+          this.roadmap = [];
+        }
+      }
+    } catch (error) {
+      console.error("Error loading roadmap from localStorage:", error);
+      this.roadmap = [];
+    }
+  }
+
+  // Method to save the multi-semester roadmap to localStorage
+  saveRoadmap() {
+    try {
+      localStorage.setItem("roadmap", JSON.stringify(this.roadmap));
+    } catch (error) {
+      console.error("Error saving roadmap to localStorage:", error);
+    }
+  }
+
+  // Method to load retake marks and cost adjustments from localStorage
+  loadCostAdjustments() {
+    try {
+      const savedRetakes = JSON.parse(localStorage.getItem("retakeCourses"));
+      if (Array.isArray(savedRetakes)) {
+        this.core.setState({ retakeCourses: savedRetakes });
+      }
+      const savedAdjustments = JSON.parse(
+        localStorage.getItem("costAdjustments")
+      );
+      if (savedAdjustments && typeof savedAdjustments === "object") {
+        this.core.setCostAdjustments(savedAdjustments);
+      }
+    } catch (error) {
+      console.error("Error loading cost adjustments from localStorage:", error);
+    }
+    this.waiverTypeInput.value = this.costAdjustments.waiverType;
+    this.waiverValueInput.value = this.costAdjustments.waiverValue;
+    this.retakeDiscountInput.value = this.costAdjustments.retakeDiscountPercent;
+    this.installmentsInput.value = this.costAdjustments.installments;
+  }
+
+  // Method to load grade records from localStorage
+  loadGradeRecords() {
+    try {
+      const saved = JSON.parse(localStorage.getItem("gradeRecords"));
+      if (saved && typeof saved === "object" && !Array.isArray(saved)) {
+        Object.entries(saved).forEach(([code, attempts]) => {
+          if (Array.isArray(attempts) && attempts.length > 0) {
+            this.gradeRecords[code] = attempts;
+          }
+        });
+      }
+    } catch (error) {
+      console.error("Error loading grade records from localStorage:", error);
+    }
+  }
+
+  // Method to save grade records to localStorage
+  saveGradeRecords() {
+    try {
+      localStorage.setItem("gradeRecords", JSON.stringify(this.gradeRecords));
+    } catch (error) {
+      console.error("Error saving grade records to localStorage:", error);
+    }
+  }
+
+  loadStudentInfo() {
+    try {
+      const saved = JSON.parse(localStorage.getItem("studentInfo"));
+      if (saved && typeof saved === "object") {
+        this.studentInfo = {
+          name: String(saved.name || ""),
+          id: String(saved.id || ""),
+        };
+      }
+    } catch (error) {
+      console.error("Error loading student info from localStorage:", error);
+    }
+    this.studentNameInput.value = this.studentInfo.name;
+    this.studentIdInput.value = this.studentInfo.id;
+  }
+
+  saveStudentInfo() {
+    try {
+      localStorage.setItem("studentInfo", JSON.stringify(this.studentInfo));
+    } catch (error) {
+      console.error("Error saving student info to localStorage:", error);
+    }
+  }
+
+  // Method to load the CGPA, semester type and overload approval from
+  // localStorage; the credit limits follow from them
+  loadCreditPolicy() {
+    try {
+      const saved = JSON.parse(localStorage.getItem("creditPolicy"));
+      if (saved && typeof saved === "object") {
+        this.creditPolicy = { ...this.creditPolicy, ...saved };
+      }
+    } catch (error) {
+      console.error("Error loading credit policy from localStorage:", error);
+    }
+    this.renderCreditPolicyInputs();
+    this.applyCreditLimits();
+  }
+
+  // Method to save the credit policy inputs to localStorage
+  saveCreditPolicy() {
+    try {
+      localStorage.setItem("creditPolicy", JSON.stringify(this.creditPolicy));
+    } catch (error) {
+      console.error("Error saving credit policy to localStorage:", error);
+    }
+  }
+
+  // Method to load the course list filters from localStorage
+  loadFilters() {
+    try {
+      this.filters = normalizeFilters(
+        JSON.parse(localStorage.getItem("courseFilters"))
+      );
+    } catch (error) {
+      console.error("Error loading course filters from localStorage:", error);
+    }
+  }
+
+  // Method to save the course list filters to localStorage
+  saveFilters() {
+    try {
+      localStorage.setItem("courseFilters", JSON.stringify(this.filters));
+    } catch (error) {
+      console.error("Error saving course filters to localStorage:", error);
+    }
+  }
+
+  // Method to load the undo/redo history from sessionStorage
+  loadHistory() {
+    try {
+      const saved = JSON.parse(sessionStorage.getItem("planHistory"));
+      if (saved && Array.isArray(saved.undo) && Array.isArray(saved.redo)) {
+        this.history = saved;
+      }
+    } catch (error) {
+      console.error("Error loading plan history from sessionStorage:", error);
+    }
+    this.updateHistoryButtons();
+  }
+
+  // Method to save the undo/redo history to sessionStorage
+  saveHistory() {
+    try {
+      sessionStorage.setItem("planHistory", JSON.stringify(this.history));
+    } catch (error) {
+      console.error("Error saving plan history to sessionStorage:", error);
+    }
+  }
+
+  // Method to load the plan scenarios from localStorage
+  loadScenarios() {
+    try {
+      this.scenarios = normalizeScenarios(
+        JSON.parse(localStorage.getItem("scenarios"))
+      );
+    } catch (error) {
+      console.error("Error loading plan scenarios from localStorage:", error);
+    }
+    // The plan from before scenarios existed becomes the first one
+    if (!this.scenarios) {
+      const scenario = createScenario(
+        getNextScenarioName([]),
+        this.getPlannerState()
+      );
+      this.scenarios = { activeId: scenario.id, scenarios: [scenario] };
+      this.saveScenarios();
+    }
+    this.renderScenarios();
+  }
+
+  // Method to save the plan scenarios to localStorage, including the
+  // current edits to the active one
+  saveScenarios() {
+    this.getActiveScenario().state = this.getPlannerState();
+    try {
+      localStorage.setItem("scenarios", JSON.stringify(this.scenarios));
+    } catch (error) {
+      console.error("Error saving plan scenarios to localStorage:", error);
+    }
+  }
+
+  // Method to save retake marks and cost adjustments to localStorage
+  saveCostAdjustments() {
+    try {
+      localStorage.setItem(
+        "retakeCourses",
+        JSON.stringify(Array.from(this.retakeCourses))
+      );
+      localStorage.setItem(
+        "costAdjustments",
+        JSON.stringify(this.costAdjustments)
+      );
+    } catch (error) {
+      console.error("Error saving cost adjustments to localStorage:", error);
+    }
+  }
+
   initializeElements() {
+    this.catalogSelect = document.getElementById("catalogSelect");
+    this.subtitleElement = document.querySelector("header .subtitle");
     this.maxCreditsInput = document.getElementById("maxCredits");
     this.maxCoursesInput = document.getElementById("maxCourses");
+    this.cgpaInput = document.getElementById("cgpa");
+    this.semesterTypeSelect = document.getElementById("semesterType");
+    this.overloadApprovedInput = document.getElementById("overloadApproved");
+    this.creditPolicyInputs = document.querySelectorAll(".policy-input");
+    this.limitNoteElement = document.getElementById("limitNote");
+    this.gradesSection = document.getElementById("grades");
+    this.gradesSummary = document.getElementById("gradesSummary");
+    this.gpaTable = document.getElementById("gpaTable");
+    this.earlierAttemptsList = document.getElementById("earlierAttempts");
+    this.attemptCourseSelect = document.getElementById("attemptCourse");
+    this.attemptTermInput = document.getElementById("attemptTerm");
+    this.attemptGradeSelect = document.getElementById("attemptGrade");
+    this.addAttemptButton = document.getElementById("addAttemptButton");
+    this.targetCgpaInput = document.getElementById("targetCgpa");
+    this.probationTargetButton = document.getElementById("probationTarget");
+    this.targetResultElement = document.getElementById("targetResult");
+    this.useCgpaButton = document.getElementById("useCgpaButton");
+    this.transcriptSummary = document.getElementById("transcriptSummary");
+    this.advisingSummary = document.getElementById("advisingSummary");
+    this.studentNameInput = document.getElementById("studentName");
+    this.studentIdInput = document.getElementById("studentId");
+    this.printAdvisingButton = document.getElementById("printAdvising");
+    this.exportAdvisingCsvButton = document.getElementById("exportAdvisingCsv");
+    this.copyAdvisingMarkdownButton = document.getElementById(
+      "copyAdvisingMarkdown"
+    );
+    this.advisingPrint = document.getElementById("advisingPrint");
+    this.transcriptTextInput = document.getElementById("transcriptText");
+    this.transcriptFileInput = document.getElementById("transcriptFile");
+    this.loadTranscriptFileButton =
+      document.getElementById("loadTranscriptFile");
+    this.previewTranscriptButton = document.getElementById("previewTranscript");
+    this.applyTranscriptButton = document.getElementById("applyTranscript");
+    this.transcriptPreview = document.getElementById("transcriptPreview");
     this.searchInput = document.getElementById("searchInput");
     this.clearAllButton = document.getElementById("clearAll");
     this.selectedCreditsElement = document.getElementById("selectedCredits");
@@ -91,26 +762,206 @@ class CoursePlanner {
     this.remainingCreditsElement = document.getElementById("remainingCredits");
     this.remainingCoursesElement = document.getElementById("remainingCourses");
     this.selectedCoursesList = document.getElementById("selectedCoursesList");
+    this.completedCoursesList = document.getElementById("completedCoursesList");
+    this.completedCountElement = document.getElementById("completedCount");
     this.availableCoursesList = document.getElementById("availableCoursesList");
-    this.categoryFilterElement = document.getElementById("categoryFilter");
-    this.typeFilterElement = document.getElementById("typeFilter");
+    this.courseFiltersElement = document.getElementById("courseFilters");
     this.themeToggle = document.getElementById("themeToggle");
     this.selectedCountElement = document.getElementById("selectedCount");
     this.semesterCostElement = document.getElementById("semesterCost");
+    this.timetableElement = document.getElementById("timetable");
+    this.timetableSemesterElement =
+      document.getElementById("timetableSemester");
+    this.exportCalendarButton = document.getElementById("exportCalendar");
+    this.feeScheduleElement = document.getElementById("feeScheduleName");
+    this.admissionYearInput = document.getElementById("admissionYear");
+    this.costCalculatorCard = document.querySelector(".cost-calculator");
+    this.costBreakdown = document.getElementById("costBreakdown");
+    this.costBreakdownTable = document.getElementById("costBreakdownTable");
+    this.waiverTypeInput = document.getElementById("waiverType");
+    this.waiverValueInput = document.getElementById("waiverValue");
+    this.retakeDiscountInput = document.getElementById("retakeDiscount");
+    this.installmentsInput = document.getElementById("installments");
     this.clearSearchIcon = document.getElementById("clearSearchIcon"); // Clear search icon
+    this.undoButton = document.getElementById("undoButton");
+    this.redoButton = document.getElementById("redoButton");
+    this.toastElement = document.getElementById("toast");
+    this.scenarioSection = document.getElementById("scenarios");
+    this.scenarioSummary = document.getElementById("scenarioSummary");
+    this.scenarioSelect = document.getElementById("scenarioSelect");
+    this.newScenarioButton = document.getElementById("newScenario");
+    this.duplicateScenarioButton = document.getElementById("duplicateScenario");
+    this.renameScenarioButton = document.getElementById("renameScenario");
+    this.deleteScenarioButton = document.getElementById("deleteScenario");
+    this.scenarioComparison = document.getElementById("scenarioComparison");
+    this.commandPalette = document.getElementById("commandPalette");
+    this.commandPaletteInput = document.getElementById("commandPaletteInput");
+    this.commandPaletteResults = document.getElementById(
+      "commandPaletteResults"
+    );
+    this.commandPaletteHint = document.getElementById("commandPaletteHint");
+    this.exportPlanButton = document.getElementById("exportPlan");
+    this.importPlanButton = document.getElementById("importPlan");
+    this.importPlanInput = document.getElementById("importPlanInput");
+    this.sharePlanButton = document.getElementById("sharePlan");
+    this.viewToggleButtons = document.querySelectorAll(".view-button");
+    this.roadmapList = document.getElementById("roadmapList");
+    this.semesterNameInput = document.getElementById("semesterNameInput");
+    this.addSemesterButton = document.getElementById("addSemesterButton");
+    this.generatorTrailSelect = document.getElementById("generatorTrail");
+    this.generatePlanButton = document.getElementById("generatePlanButton");
+    this.generatorSummary = document.getElementById("generatorSummary");
+    this.degreeAuditSection = document.getElementById("degreeAudit");
+    this.degreeAuditSummary = document.getElementById("degreeAuditSummary");
+    this.degreeAuditList = document.getElementById("degreeAuditList");
+    this.graphContainer = document.getElementById("graphContainer");
+    this.graphInfo = document.getElementById("graphInfo");
+    this.graphIsolatedToggle = document.getElementById("graphShowIsolated");
   }
 
   bindEvents() {
+    this.updateCatalogInfo();
+    this.catalogSelect.addEventListener("change", (e) => {
+      this.switchCatalog(e.target.value);
+    });
+
     this.maxCreditsInput.addEventListener("change", (e) => {
-      this.maxCredits = parseInt(e.target.value) || 14;
-      this.updateStats();
-      this.renderCourses();
+      const before = this.getHistoryState();
+      // Credits can be fractional (CSE499A is 1.5 credits)
+      this.core.setLimits({ maxCredits: parseFloat(e.target.value) || 14 });
+      this.commitHistory("Change max credits", before);
     });
 
     this.maxCoursesInput.addEventListener("change", (e) => {
-      this.maxCourses = parseInt(e.target.value) || 8;
-      this.updateStats();
-      this.renderCourses();
+      const before = this.getHistoryState();
+      this.core.setLimits({ maxCourses: parseInt(e.target.value) || 8 });
+      this.commitHistory("Change max courses", before);
+    });
+
+    const updateCreditPolicy = () => {
+      const before = this.getHistoryState();
+      const cgpa = parseFloat(this.cgpaInput.value);
+      this.creditPolicy = {
+        cgpa: Number.isFinite(cgpa) ? cgpa : null,
+        semesterType: this.semesterTypeSelect.value,
+      };
+      // A lower CGPA withdraws an earlier overload approval
+      this.creditPolicy.overloadApproved =
+        this.overloadApprovedInput.checked &&
+        canOverload(this.rulesData, this.creditPolicy.cgpa);
+      this.saveCreditPolicy();
+      this.renderCreditPolicyInputs();
+      this.applyCreditLimits();
+      this.commitHistory("Change credit limits", before);
+    };
+    [
+      this.cgpaInput,
+      this.semesterTypeSelect,
+      this.overloadApprovedInput,
+    ].forEach((input) => input.addEventListener("change", updateCreditPolicy));
+
+    this.addAttemptButton.addEventListener("click", () => {
+      this.addEarlierAttempt(
+        this.attemptCourseSelect.value,
+        this.attemptTermInput.value.trim(),
+        this.attemptGradeSelect.value
+      );
+    });
+    this.earlierAttemptsList.addEventListener("click", (e) => {
+      const button = e.target.closest(".remove-attempt");
+      if (!button) return;
+      this.removeAttempt(button.dataset.code, parseInt(button.dataset.index));
+    });
+    this.targetCgpaInput.addEventListener("input", () =>
+      this.renderTargetResult()
+    );
+    this.probationTargetButton.addEventListener("click", () => {
+      this.targetCgpaInput.value =
+        this.rulesData.creditLimits.probationBelowCgpa.toFixed(2);
+      this.renderTargetResult();
+    });
+    // Feed the computed CGPA into the credit-limit policy
+    this.useCgpaButton.addEventListener("click", () => {
+      const { cgpa } = this.getGpaSummary();
+      if (cgpa === null) return;
+      this.cgpaInput.value = cgpa.toFixed(2);
+      this.cgpaInput.dispatchEvent(new Event("change"));
+    });
+
+    this.loadTranscriptFileButton.addEventListener("click", () => {
+      this.transcriptFileInput.click();
+    });
+    this.transcriptFileInput.addEventListener("change", (e) => {
+      const file = e.target.files[0];
+      if (file) this.loadTranscriptFile(file);
+      e.target.value = ""; // Allow loading the same file again
+    });
+    this.previewTranscriptButton.addEventListener("click", () =>
+      this.previewTranscript()
+    );
+    // An edited transcript needs a fresh preview before it is imported
+    this.transcriptTextInput.addEventListener("input", () => {
+      this.transcriptRows = [];
+      this.renderTranscriptPreview();
+    });
+    this.applyTranscriptButton.addEventListener("click", () =>
+      this.importTranscript()
+    );
+
+    const updateStudentInfo = () => {
+      this.studentInfo = {
+        name: this.studentNameInput.value.trim(),
+        id: this.studentIdInput.value.trim(),
+      };
+      this.saveStudentInfo();
+    };
+    this.studentNameInput.addEventListener("input", updateStudentInfo);
+    this.studentIdInput.addEventListener("input", updateStudentInfo);
+    this.exportCalendarButton.addEventListener("click", () =>
+      this.exportCalendar()
+    );
+    this.printAdvisingButton.addEventListener("click", () =>
+      this.printAdvisingSheet()
+    );
+    this.exportAdvisingCsvButton.addEventListener("click", () =>
+      this.exportAdvisingCsv()
+    );
+    this.copyAdvisingMarkdownButton.addEventListener("click", () =>
+      this.copyAdvisingMarkdown()
+    );
+    // The page prints normally again once the dialog closes
+    window.addEventListener("afterprint", () => {
+      document.body.classList.remove("printing-advising");
+    });
+
+    this.admissionYearInput.value = this.admissionYear;
+    this.admissionYearInput.addEventListener("change", (e) => {
+      this.core.setAdmissionYear(e.target.value);
+    });
+
+    this.costCalculatorCard.addEventListener("click", () => {
+      this.costBreakdown.open = !this.costBreakdown.open;
+    });
+
+    const updateAdjustments = () => {
+      this.core.setCostAdjustments({
+        waiverType: this.waiverTypeInput.value,
+        waiverValue: parseFloat(this.waiverValueInput.value) || 0,
+        retakeDiscountPercent: parseFloat(this.retakeDiscountInput.value) || 0,
+        installments: parseInt(this.installmentsInput.value) || 1,
+      });
+    };
+    [
+      this.waiverTypeInput,
+      this.waiverValueInput,
+      this.retakeDiscountInput,
+      this.installmentsInput,
+    ].forEach((input) => input.addEventListener("change", updateAdjustments));
+
+    // Retake checkboxes live inside the re-rendered breakdown table
+    this.costBreakdownTable.addEventListener("change", (e) => {
+      if (!e.target.matches(".retake-checkbox")) return;
+      this.setRetake(e.target.dataset.code, e.target.checked);
     });
 
     this.searchInput.addEventListener("input", () => {
@@ -118,21 +969,79 @@ class CoursePlanner {
     });
 
     this.clearAllButton.addEventListener("click", () => {
-      this.selectedCourses.clear();
-      this.electiveTrailSelections = { firstTrail: null, thirdTrail: null };
-      this.updateStats();
-      this.renderCourses();
-      // Save the cleared state to localStorage
-      this.saveSelectedCourses();
+      const before = this.getHistoryState();
+      const count = this.core.clearSelection().length;
+      if (this.commitHistory("Clear selected courses", before)) {
+        this.showToast(
+          `Cleared ${count} selected course${count !== 1 ? "s" : ""}`,
+          true
+        );
+      }
+    });
+
+    this.undoButton.addEventListener("click", () => this.undo());
+    this.redoButton.addEventListener("click", () => this.redo());
+
+    // Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS); text fields keep their own undo
+    document.addEventListener("keydown", (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== "z") return;
+      if (e.target.matches("input, textarea, select")) return;
+      e.preventDefault();
+      if (e.shiftKey) {
+        this.redo();
+      } else {
+        this.undo();
+      }
+    });
+
+    this.toastElement.addEventListener("click", (e) => {
+      if (e.target.closest(".toast-undo")) this.undo();
+    });
+
+    this.scenarioSelect.addEventListener("change", (e) => {
+      this.switchScenario(e.target.value);
+    });
+    this.newScenarioButton.addEventListener("click", () => this.newScenario());
+    this.duplicateScenarioButton.addEventListener("click", () =>
+      this.duplicateScenario()
+    );
+    this.renameScenarioButton.addEventListener("click", () =>
+      this.renameScenario()
+    );
+    this.deleteScenarioButton.addEventListener("click", () =>
+      this.deleteScenario()
+    );
+    // The comparison is only worked out while it is visible
+    this.scenarioSection.addEventListener("toggle", () =>
+      this.renderScenarios()
+    );
+    this.scenarioComparison.addEventListener("click", (e) => {
+      const button = e.target.closest(".scenario-switch");
+      if (button) this.switchScenario(button.dataset.scenario);
     });
 
-    this.categoryFilterElement.addEventListener("change", (e) => {
-      this.categoryFilter = e.target.value;
+    // Filter checkboxes are re-rendered with their counts on every change
+    this.courseFiltersElement.addEventListener("change", (e) => {
+      const facet = e.target.dataset.facet;
+      if (!facet) return;
+      if (Array.isArray(this.filters[facet])) {
+        this.filters[facet] = e.target.checked
+          ? [...this.filters[facet], e.target.value]
+          : this.filters[facet].filter((value) => value !== e.target.value);
+      } else {
+        this.filters[facet] = e.target.checked;
+      }
+      this.saveFilters();
       this.renderCourses();
     });
 
-    this.typeFilterElement.addEventListener("change", (e) => {
-      this.typeFilter = e.target.value;
+    this.courseFiltersElement.addEventListener("click", (e) => {
+      if (!e.target.closest(".facet-clear")) return;
+      this.filters = {
+        ...DEFAULT_FILTERS,
+        sortByUnlocks: this.filters.sortByUnlocks,
+      };
+      this.saveFilters();
       this.renderCourses();
     });
 
@@ -144,7 +1053,119 @@ class CoursePlanner {
     this.clearSearchIcon.addEventListener("click", () => {
       this.clearSearch();
     });
-  }
+
+    // Ctrl+K (Cmd+K on macOS) opens the keyboard course picker
+    document.addEventListener("keydown", (e) => {
+      if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === "k") {
+        e.preventDefault();
+        this.openCommandPalette();
+      }
+    });
+
+    this.commandPaletteInput.addEventListener("input", () => {
+      this.paletteIndex = 0;
+      this.renderCommandPalette();
+    });
+
+    this.commandPaletteInput.addEventListener("keydown", (e) => {
+      if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+        e.preventDefault();
+        const count = this.paletteResults.length;
+        if (count === 0) return;
+        const step = e.key === "ArrowDown" ? 1 : -1;
+        this.paletteIndex = (this.paletteIndex + step + count) % count;
+        this.renderCommandPalette();
+      } else if (e.key === "Enter") {
+        e.preventDefault();
+        this.togglePaletteCourse(this.paletteResults[this.paletteIndex]);
+      } else if (e.key === "Escape") {
+        this.closeCommandPalette();
+      }
+    });
+
+    this.commandPaletteResults.addEventListener("click", (e) => {
+      const item = e.target.closest("[data-code]");
+      if (!item) return;
+      this.paletteIndex = this.paletteResults.indexOf(item.dataset.code);
+      this.togglePaletteCourse(item.dataset.code);
+      this.commandPaletteInput.focus();
+    });
+
+    // Clicking the backdrop closes the picker
+    this.commandPalette.addEventListener("click", (e) => {
+      if (e.target === this.commandPalette) this.closeCommandPalette();
+    });
+
+    this.exportPlanButton.addEventListener("click", () => {
+      this.exportPlan();
+    });
+
+    this.importPlanButton.addEventListener("click", () => {
+      this.importPlanInput.click();
+    });
+
+    this.importPlanInput.addEventListener("change", (e) => {
+      const file = e.target.files[0];
+      if (file) this.importPlan(file);
+      e.target.value = ""; // Allow importing the same file again
+    });
+
+    this.sharePlanButton.addEventListener("click", () => {
+      this.copyShareLink();
+    });
+
+    this.viewToggleButtons.forEach((button) => {
+      button.addEventListener("click", () => {
+        this.setViewMode(button.dataset.view);
+      });
+    });
+
+    this.addSemesterButton.addEventListener("click", () => {
+      this.addRoadmapSemester(this.semesterNameInput.value.trim());
+    });
+
+    this.semesterNameInput.addEventListener("keydown", (e) => {
+      if (e.key === "Enter") {
+        this.addRoadmapSemester(this.semesterNameInput.value.trim());
+      }
+    });
+
+    this.generatePlanButton.addEventListener("click", () => {
+      this.generateFastestPlan();
+    });
+
+    // Clicking a node focuses its chain; clicking empty space clears it
+    this.graphContainer.addEventListener("click", (e) => {
+      const node = e.target.closest(".graph-node");
+      const code = node ? node.dataset.code : null;
+      this.graphFocus = code && code !== this.graphFocus ? code : null;
+      this.renderGraph();
+    });
+
+    this.graphIsolatedToggle.addEventListener("change", (e) => {
+      this.graphShowIsolated = e.target.checked;
+      this.renderGraph();
+    });
+  }
+
+  loadViewMode() {
+    this.setViewMode(localStorage.getItem("viewMode") || "semester");
+  }
+
+  // Switch between the single-semester planner, the roadmap and the graph
+  setViewMode(mode) {
+    this.viewMode = ["roadmap", "graph"].includes(mode) ? mode : "semester";
+    document.documentElement.setAttribute("data-view", this.viewMode);
+    localStorage.setItem("viewMode", this.viewMode);
+    this.viewToggleButtons.forEach((button) => {
+      button.classList.toggle("active", button.dataset.view === this.viewMode);
+    });
+    if (this.viewMode === "roadmap") {
+      this.renderRoadmap();
+    } else if (this.viewMode === "graph") {
+      this.renderGraph();
+    }
+  }
 
   loadTheme() {
     const savedTheme = localStorage.getItem("theme") || "light";
@@ -165,22 +1186,99 @@ class CoursePlanner {
     themeIcon.textContent = theme === "dark" ? "☀️" : "🌙";
   }
 
-  getSelectedCredits() {
-    let total = 0;
-    this.selectedCourses.forEach((code) => {
-      const course = this.courses.find((c) => c.code === code);
-      if (course) total += course.credits;
+  // Semester types come from the catalog's credit policy; the inputs are
+  // hidden for catalogs without one
+  renderCreditPolicyInputs() {
+    const types = getSemesterTypes(this.rulesData);
+    this.creditPolicyInputs.forEach((element) => {
+      element.hidden = types.length === 0;
     });
-    return total;
+    this.semesterTypeSelect.innerHTML = types
+      .map((type) => `<option value="${type.id}">${type.name}</option>`)
+      .join("");
+    if (types.length === 0) return;
+
+    const { cgpa, semesterType, overloadApproved } = this.creditPolicy;
+    this.semesterTypeSelect.value = types.some((t) => t.id === semesterType)
+      ? semesterType
+      : types[0].id;
+    this.cgpaInput.value = cgpa !== null ? cgpa : "";
+    // Overload approval only matters for students whose CGPA allows it
+    this.overloadApprovedInput.disabled = !canOverload(this.rulesData, cgpa);
+    this.overloadApprovedInput.checked =
+      overloadApproved && !this.overloadApprovedInput.disabled;
   }
 
-  getSelectedCourseCount() {
-    return this.selectedCourses.size;
+  // Set the semester limits from the credit policy
+  applyCreditLimits() {
+    this.creditLimits = getCreditLimits(this.rulesData, this.creditPolicy);
+    if (!this.creditLimits) return;
+    this.core.setLimits({
+      maxCredits: this.creditLimits.maxCredits,
+      maxCourses: this.creditLimits.maxCourses,
+    });
+    this.maxCreditsInput.value = this.maxCredits;
+    this.maxCoursesInput.value = this.maxCourses;
+  }
+
+  // Explain which policy rule sets the cap, and warn when the limits or the
+  // selection go beyond it
+  renderLimitNote() {
+    const messages = [];
+    const limits = this.creditLimits;
+    if (limits) {
+      messages.push({
+        text: `Cap: ${limits.maxCredits} credits / ${limits.maxCourses} courses — ${limits.reason}`,
+      });
+      limits.notes.forEach((note) =>
+        messages.push({ text: note, warning: true })
+      );
+      if (
+        this.maxCredits > limits.maxCredits ||
+        this.maxCourses > limits.maxCourses
+      ) {
+        messages.push({
+          text: `Your limits (${this.maxCredits} credits / ${this.maxCourses} courses) are above the policy cap and need approval`,
+          warning: true,
+        });
+      }
+    }
+
+    const selectedCredits = this.core.getSelectedCredits();
+    const selectedCourses = this.core.getSelectedCourseCount();
+    if (selectedCredits > this.maxCredits) {
+      messages.push({
+        text: `${selectedCredits} credits selected, over the ${this.maxCredits}-credit limit`,
+        warning: true,
+      });
+    }
+    if (selectedCourses > this.maxCourses) {
+      messages.push({
+        text: `${selectedCourses} courses selected, over the ${this.maxCourses}-course limit`,
+        warning: true,
+      });
+    }
+
+    const retakes = Array.from(this.selectedCourses).filter((code) =>
+      this.retakeCourses.has(code)
+    );
+    if (retakes.length > 0) {
+      messages.push({ text: `↻ Retaking ${retakes.join(", ")}` });
+    }
+
+    this.limitNoteElement.innerHTML = messages
+      .map(
+        (message) =>
+          `<p class="${message.warning ? "warning" : ""}">${
+            message.warning ? "⚠️ " : ""
+          }${message.text}</p>`
+      )
+      .join("");
   }
 
   updateStats() {
-    const selectedCredits = this.getSelectedCredits();
-    const selectedCourses = this.getSelectedCourseCount();
+    const selectedCredits = this.core.getSelectedCredits();
+    const selectedCourses = this.core.getSelectedCourseCount();
     const remainingCredits = this.maxCredits - selectedCredits;
     const remainingCourses = this.maxCourses - selectedCourses;
 
@@ -192,46 +1290,20 @@ class CoursePlanner {
       selectedCourses !== 1 ? "s" : ""
     }`;
 
-    // --- Final & Corrected Cost Calculation ---
-    // Define fee constants for easy modification
-    const STUDENT_ACTIVITY_FEE = 3000; // Student Activity Fee (Always applied)
-    const LIBRARY_FEE = 1500; // Library Fee (Always applied)
-    const COMPUTER_LAB_FEE = 2500; // Applied if ANY non-science lab course is taken
-    const SCIENCE_LAB_FEE = 2500; // Applied if ANY of the 4 specific science labs is taken
-
-    // Determine if Computer Lab Fee applies
-    // Applied if ANY selected course is a 'lab' type BUT NOT one of the specific science labs
-    const SCIENCE_LAB_CODES = new Set([
-      "BIO103L",
-      "CHE101L",
-      "PHY107L",
-      "PHY108L",
-    ]);
-    const hasComputerLab = Array.from(this.selectedCourses).some((code) => {
-      const course = this.courses.find((c) => c.code === code);
-      return (
-        course && course.type === "lab" && !SCIENCE_LAB_CODES.has(course.code)
-      );
-    });
-    const computerLabFeeApplicable = hasComputerLab ? COMPUTER_LAB_FEE : 0;
-
-    // Determine if Science Lab Fee applies
-    // Applied if ANY selected course is one of the specific science labs
-    const hasScienceLab = Array.from(this.selectedCourses).some((code) =>
-      SCIENCE_LAB_CODES.has(code)
-    );
-    const scienceLabFeeApplicable = hasScienceLab ? SCIENCE_LAB_FEE : 0;
-
-    // Calculate total semester cost
-    const tuitionCost = selectedCredits * 6500; // 6500 TK per credit
-    const fixedFees = STUDENT_ACTIVITY_FEE + LIBRARY_FEE; // Always applied
-    const conditionalFees = computerLabFeeApplicable + scienceLabFeeApplicable; // Conditional fees
-
-    const semesterCost = tuitionCost + fixedFees + conditionalFees;
-
-    // Update the display
-    this.semesterCostElement.textContent = `৳${semesterCost.toLocaleString()}`;
-    // --- End Final Cost Calculation ---
+    // Cost calculation from the fee schedule for the admission year
+    const feeSchedule = this.core.getFeeSchedule();
+    const cost = this.core.getCost();
+    if (cost) {
+      this.semesterCostElement.textContent = `${
+        cost.currency
+      }${cost.payable.toLocaleString()}`;
+      this.feeScheduleElement.textContent = `Fees: ${feeSchedule.name}`;
+      this.renderCostBreakdown(cost);
+    } else {
+      this.semesterCostElement.textContent = "—";
+      this.feeScheduleElement.textContent = "Fee schedule unavailable";
+      this.costBreakdownTable.innerHTML = "";
+    }
 
     // Update warning states
     if (remainingCredits <= 3) {
@@ -245,143 +1317,1479 @@ class CoursePlanner {
     } else {
       this.remainingCoursesElement.classList.remove("warning");
     }
+
+    this.advisingSummary.textContent = `${selectedCourses} course${
+      selectedCourses !== 1 ? "s" : ""
+    } · ${selectedCredits} credits`;
+
+    this.renderLimitNote();
+    this.renderGrades();
+    this.renderScenarios();
+  }
+
+  // Itemized table behind the cost card
+  renderCostBreakdown(cost) {
+    const money = (amount) =>
+      `${amount < 0 ? "−" : ""}${cost.currency}${Math.abs(
+        amount
+      ).toLocaleString()}`;
+    const row = (label, amount, className = "") =>
+      `<tr class="${className}"><td>${label}</td><td>${money(amount)}</td></tr>`;
+
+    let rows = cost.tuitionLines
+      .map(
+        (line) => `
+                <tr>
+                    <td>
+                        Tuition: ${line.code} (${line.credits} cr × ${money(
+                          cost.perCredit
+                        )})
+                        <label class="retake-label">
+                            <input type="checkbox" class="retake-checkbox" data-code="${
+                              line.code
+                            }" ${line.retake ? "checked" : ""}> Retake
+                        </label>
+                    </td>
+                    <td>${money(line.amount)}</td>
+                </tr>
+            `
+      )
+      .join("");
+
+    rows += cost.fixedFees.map((fee) => row(fee.name, fee.amount)).join("");
+    rows += cost.conditionalFees
+      .map((fee) =>
+        row(
+          `${fee.name} <small>(triggered by ${fee.triggeredBy.join(", ")})</small>`,
+          fee.amount
+        )
+      )
+      .join("");
+    rows += row("Subtotal", cost.total, "cost-subtotal");
+
+    if (cost.retakeDiscount > 0) {
+      rows += row("Retake discount", -cost.retakeDiscount, "cost-discount");
+    }
+    if (cost.waiver > 0) {
+      rows += row("Waiver / scholarship", -cost.waiver, "cost-discount");
+    }
+    rows += row("Total payable", cost.payable, "cost-total");
+
+    if (cost.installments.length > 1) {
+      rows += cost.installments
+        .map((amount, index) => row(`Installment ${index + 1}`, amount))
+        .join("");
+    }
+
+    this.costBreakdownTable.innerHTML = `<tbody>${rows}</tbody>`;
+  }
+
+  // Switch a selected course to another section. Labs that no longer pair
+  // with (or now clash with) the new theory section are moved as well.
+  setCourseSection(courseCode, sectionNumber) {
+    const before = this.getHistoryState();
+    this.core.setCourseSection(courseCode, sectionNumber);
+    this.commitHistory(`Change ${courseCode} section`, before);
   }
 
-  // Check if selecting a course would violate alternative course rules
-  wouldViolateAlternatives(courseCode) {
-    // Find which alternative group this course belongs to
-    const group = this.alternativeGroups.find((g) => g.includes(courseCode));
+  setRetake(courseCode, isRetake) {
+    const before = this.getHistoryState();
+    this.core.setRetake(courseCode, isRetake);
+    this.commitHistory(
+      `${isRetake ? "Mark" : "Unmark"} ${courseCode} as a retake`,
+      before
+    );
+  }
 
-    if (group) {
-      // Check if any alternative course from the same group is already selected
-      return group.some(
-        (altCode) => altCode !== courseCode && this.selectedCourses.has(altCode)
+  addCourse(courseCode) {
+    const before = this.getHistoryState();
+    if (!this.core.addCourse(courseCode)) return;
+    // A course with an earlier (failed) attempt on record is a retake
+    if (this.gradeRecords[courseCode]) this.core.setRetake(courseCode, true);
+    this.commitHistory(`Add ${courseCode}`, before);
+
+    // Clear search bar after selecting a course
+    // this.clearSearch(); // Commented out to keep search text persistent
+  }
+
+  removeCourse(courseCode) {
+    const before = this.getHistoryState();
+    const result = this.core.removeCourse(courseCode);
+    if (!result) return;
+    const { droppedCorequisites } = result;
+
+    // Corequisites leave silently otherwise; say so and offer an undo
+    if (
+      this.commitHistory(`Remove ${courseCode}`, before) &&
+      droppedCorequisites.length > 0
+    ) {
+      this.showToast(
+        `Removed ${courseCode} and its corequisite${
+          droppedCorequisites.length !== 1 ? "s" : ""
+        } ${droppedCorequisites.join(", ")}`,
+        true
+      );
+    }
+
+    // Clear search bar after removing a course
+    // this.clearSearch(); // Commented out to keep search text persistent
+  }
+
+  // Move a course (and its corequisites) into the completed-courses transcript
+  markCourseCompleted(courseCode) {
+    const course = this.courses.find((c) => c.code === courseCode);
+    if (!course) return;
+    const before = this.getHistoryState();
+
+    const codes = [courseCode, ...(course.corequisites || [])];
+    codes.forEach((code) => {
+      if (this.completedCourses.has(code)) return;
+      // Passing a course with earlier attempts on record adds a new attempt
+      const attempts = this.gradeRecords[code];
+      if (attempts && attempts[attempts.length - 1].grade) {
+        attempts.push({ term: "", grade: "" });
+      }
+    });
+    this.saveGradeRecords();
+
+    // Completed courses no longer need a slot in the roadmap
+    this.roadmap.forEach((semester) => {
+      semester.courses = semester.courses.filter(
+        (code) => !codes.includes(code)
+      );
+    });
+    this.saveRoadmap();
+
+    this.core.markCompleted(courseCode);
+    this.commitHistory(`Mark ${courseCode} completed`, before);
+  }
+
+  // Remove a course from the completed-courses transcript
+  unmarkCourseCompleted(courseCode) {
+    if (!this.completedCourses.has(courseCode)) return;
+    const before = this.getHistoryState();
+    // The latest attempt is the one that completed the course; earlier
+    // attempts stay on record
+    if (this.getCompletedAttempt(courseCode)) {
+      this.gradeRecords[courseCode].pop();
+      if (this.gradeRecords[courseCode].length === 0) {
+        delete this.gradeRecords[courseCode];
+      }
+      this.saveGradeRecords();
+    }
+
+    this.core.unmarkCompleted(courseCode);
+    this.commitHistory(`Unmark ${courseCode} completed`, before);
+  }
+
+  createSemesterId() {
+    return `sem-${Date.now().toString(36)}-${Math.random()
+      .toString(36)
+      .slice(2, 7)}`;
+  }
+
+  // Suggest the term that follows a name like "Spring 2027".
+  // NSU runs Spring (Jan-Apr), Summer (May-Aug) and Fall (Sep-Dec).
+  getNextSemesterName(previousName) {
+    const terms = ["Spring", "Summer", "Fall"];
+    const match = /^(Spring|Summer|Fall)\s+(\d{4})$/i.exec(
+      (previousName || "").trim()
+    );
+    if (match) {
+      const termIndex = terms.findIndex(
+        (term) => term.toLowerCase() === match[1].toLowerCase()
       );
+      const year = parseInt(match[2]);
+      return termIndex === terms.length - 1
+        ? `${terms[0]} ${year + 1}`
+        : `${terms[termIndex + 1]} ${year}`;
+    }
+
+    // No usable previous name: suggest the next term from today's date
+    const today = new Date();
+    const month = today.getMonth();
+    const year = today.getFullYear();
+    if (month < 4) return `Summer ${year}`;
+    if (month < 8) return `Fall ${year}`;
+    return `Spring ${year + 1}`;
+  }
+
+  addRoadmapSemester(name) {
+    const before = this.getHistoryState();
+    const lastSemester = this.roadmap[this.roadmap.length - 1];
+    const semesterName =
+      name || this.getNextSemesterName(lastSemester && lastSemester.name);
+    // Summer terms get summer limits under the credit policy
+    const semesterType = getSemesterTypeForName(this.rulesData, semesterName);
+    const limits = semesterType
+      ? getCreditLimits(this.rulesData, {
+          ...this.creditPolicy,
+          semesterType: semesterType.id,
+        })
+      : null;
+    this.roadmap.push({
+      id: this.createSemesterId(),
+      name: semesterName,
+      maxCredits: limits ? limits.maxCredits : this.maxCredits,
+      maxCourses: limits ? limits.maxCourses : this.maxCourses,
+      courses: [],
+      reasons: {},
+    });
+    this.semesterNameInput.value = "";
+    this.saveRoadmap();
+    this.renderRoadmap();
+    this.commitHistory("Add semester", before);
+  }
+
+  // Replace the roadmap with the fastest plan to graduation
+  generateFastestPlan() {
+    if (
+      this.roadmap.some((semester) => semester.courses.length > 0) &&
+      !confirm("Replace your current roadmap with a generated plan?")
+    ) {
+      return;
+    }
+
+    const before = this.getHistoryState();
+    const plan = generateGraduationPlan(this.courses, {
+      completed: this.completedCourses,
+      alternativeGroups: this.alternativeGroups,
+      trail: this.generatorTrailSelect.value || null,
+      trailRule: this.trailRule || undefined,
+      maxCredits: this.maxCredits,
+      maxCourses: this.maxCourses,
+      firstSemesterName:
+        this.semesterNameInput.value.trim() || this.getNextSemesterName(""),
+      getNextSemesterName: (name) => this.getNextSemesterName(name),
+      getMissingPrerequisites: (course, completed) =>
+        this.core.getMissingPrerequisites(course, completed),
+      getCreditRequirement,
+      getEarnedCredits: (completed) => this.core.getEarnedCredits(completed),
+    });
+
+    this.roadmap = plan.semesters.map((semester) => ({
+      id: this.createSemesterId(),
+      name: semester.name,
+      maxCredits: this.maxCredits,
+      maxCourses: this.maxCourses,
+      courses: semester.courses,
+      reasons: semester.reasons,
+    }));
+    this.semesterNameInput.value = "";
+
+    let summaryHTML = `<p><strong>${plan.semesters.length} semester${
+      plan.semesters.length !== 1 ? "s" : ""
+    }</strong> to finish ${plan.totalCredits} remaining credits${
+      plan.trail ? ` with the ${plan.trail}` : ""
+    } (no plan can take fewer than ${plan.lowerBound}).</p>`;
+    if (plan.unscheduled.length > 0) {
+      summaryHTML += `
+                <p class="warning">Could not schedule:</p>
+                <ul>${plan.unscheduled
+                  .map(
+                    (item) =>
+                      `<li><strong>${item.code}</strong>: ${item.reason}</li>`
+                  )
+                  .join("")}</ul>
+            `;
+    }
+    this.generatorSummary.innerHTML = summaryHTML;
+
+    this.saveRoadmap();
+    this.renderRoadmap();
+    this.commitHistory("Generate roadmap", before);
+  }
+
+  removeRoadmapSemester(semesterId) {
+    const before = this.getHistoryState();
+    this.roadmap = this.roadmap.filter(
+      (semester) => semester.id !== semesterId
+    );
+    this.saveRoadmap();
+    this.renderRoadmap();
+    this.commitHistory("Remove semester", before);
+  }
+
+  updateRoadmapSemesterLimits(semesterId, maxCredits, maxCourses) {
+    const semester = this.roadmap.find((s) => s.id === semesterId);
+    if (!semester) return;
+    const before = this.getHistoryState();
+    semester.maxCredits = parseFloat(maxCredits) || semester.maxCredits;
+    semester.maxCourses = parseInt(maxCourses) || semester.maxCourses;
+    this.saveRoadmap();
+    this.renderRoadmap();
+    this.commitHistory(`Change ${semester.name} limits`, before);
+  }
+
+  // Courses counted as done before a roadmap semester starts:
+  // the transcript plus everything planned in earlier semesters
+  getCompletedBeforeSemester(semesterIndex) {
+    const completed = new Set(this.completedCourses);
+    this.roadmap.slice(0, semesterIndex).forEach((semester) => {
+      semester.courses.forEach((code) => completed.add(code));
+    });
+    return completed;
+  }
+
+  getRoadmapSemesterIndex(courseCode) {
+    return this.roadmap.findIndex((semester) =>
+      semester.courses.includes(courseCode)
+    );
+  }
+
+  getSemesterCredits(semester) {
+    return semester.courses.reduce((total, code) => {
+      const course = this.courses.find((c) => c.code === code);
+      return total + (course ? course.credits : 0);
+    }, 0);
+  }
+
+  // Check whether a course could be placed into a roadmap semester
+  isCourseAvailableInSemester(course, semesterIndex) {
+    const semester = this.roadmap[semesterIndex];
+    if (!semester) return false;
+
+    // Each course is planned at most once, and never if already completed
+    if (this.completedCourses.has(course.code)) return false;
+    if (this.getRoadmapSemesterIndex(course.code) !== -1) return false;
+
+    // Prerequisites must be satisfied by the transcript and earlier semesters
+    const completedBefore = this.getCompletedBeforeSemester(semesterIndex);
+    if (this.core.getMissingPrerequisites(course, completedBefore).length > 0) {
+      return false;
     }
 
-    return false;
+    // Corequisites are placed together, so count them against the limits too
+    const newCodes = [course.code, ...(course.corequisites || [])].filter(
+      (code) =>
+        !semester.courses.includes(code) && !this.completedCourses.has(code)
+    );
+    const newCredits = newCodes.reduce((total, code) => {
+      const c = this.courses.find((c) => c.code === code);
+      return total + (c ? c.credits : 0);
+    }, 0);
+    if (this.getSemesterCredits(semester) + newCredits > semester.maxCredits) {
+      return false;
+    }
+    if (semester.courses.length + newCodes.length > semester.maxCourses) {
+      return false;
+    }
+
+    // Alternative groups and credit caps apply across the whole plan
+    const planned = new Set(this.completedCourses);
+    this.roadmap.forEach((s) => s.courses.forEach((code) => planned.add(code)));
+    const violations = getRuleViolations(this.rulesData, course, {
+      courses: this.courses,
+      taken: planned,
+    });
+    return violations.length === 0;
+  }
+
+  addCourseToSemester(semesterId, courseCode) {
+    const semesterIndex = this.roadmap.findIndex((s) => s.id === semesterId);
+    const course = this.courses.find((c) => c.code === courseCode);
+    if (semesterIndex === -1 || !course) return;
+    if (!this.isCourseAvailableInSemester(course, semesterIndex)) return;
+
+    const before = this.getHistoryState();
+    const semester = this.roadmap[semesterIndex];
+    semester.courses.push(courseCode);
+    delete semester.reasons[courseCode];
+
+    // Add corequisites to the same semester automatically
+    (course.corequisites || []).forEach((coreq) => {
+      if (
+        !this.completedCourses.has(coreq) &&
+        this.getRoadmapSemesterIndex(coreq) === -1 &&
+        this.courses.some((c) => c.code === coreq)
+      ) {
+        semester.courses.push(coreq);
+      }
+    });
+
+    this.saveRoadmap();
+    this.renderRoadmap();
+    this.commitHistory(`Plan ${courseCode} in ${semester.name}`, before);
+  }
+
+  removeCourseFromSemester(semesterId, courseCode) {
+    const semester = this.roadmap.find((s) => s.id === semesterId);
+    const course = this.courses.find((c) => c.code === courseCode);
+    if (!semester || !course) return;
+    const before = this.getHistoryState();
+
+    // Drop corequisites that no other course in the semester still needs
+    const coreqsToRemove = (course.corequisites || []).filter(
+      (coreq) =>
+        !semester.courses.some((code) => {
+          if (code === courseCode || code === coreq) return false;
+          const c = this.courses.find((c) => c.code === code);
+          return c && c.corequisites && c.corequisites.includes(coreq);
+        })
+    );
+
+    semester.courses = semester.courses.filter(
+      (code) => code !== courseCode && !coreqsToRemove.includes(code)
+    );
+    this.saveRoadmap();
+    this.renderRoadmap();
+    if (
+      this.commitHistory(
+        `Unplan ${courseCode} from ${semester.name}`,
+        before
+      ) &&
+      coreqsToRemove.length > 0
+    ) {
+      this.showToast(
+        `Removed ${courseCode} and its corequisite${
+          coreqsToRemove.length !== 1 ? "s" : ""
+        } ${coreqsToRemove.join(", ")} from ${semester.name}`,
+        true
+      );
+    }
   }
 
-  // Get the alternative group for a course
-  getAlternativeGroup(courseCode) {
-    return this.alternativeGroups.find((g) => g.includes(courseCode)) || [];
+  // Record a finished change as one undoable step. `before` is the planner
+  // state from just before the change; nothing is recorded if the change
+  // turned out to be a no-op. Returns whether a step was recorded.
+  commitHistory(label, before) {
+    if (JSON.stringify(before) === JSON.stringify(this.getHistoryState())) {
+      return false;
+    }
+    this.history.undo.push({ label, state: before });
+    if (this.history.undo.length > HISTORY_LIMIT) this.history.undo.shift();
+    this.history.redo = [];
+    this.saveHistory();
+    this.updateHistoryButtons();
+    return true;
   }
 
-  isCourseAvailable(course) {
-    // Check if course is already selected
-    if (this.selectedCourses.has(course.code)) return false;
+  undo() {
+    const entry = this.history.undo.pop();
+    if (!entry) return;
+    this.history.redo.push({
+      label: entry.label,
+      state: this.getHistoryState(),
+    });
+    this.applyPlannerState(entry.state);
+    this.saveHistory();
+    this.updateHistoryButtons();
+    this.showToast(`Undone: ${entry.label}`);
+  }
 
-    // Check credit limit
-    const selectedCredits = this.getSelectedCredits();
-    if (selectedCredits + course.credits > this.maxCredits) return false;
+  redo() {
+    const entry = this.history.redo.pop();
+    if (!entry) return;
+    this.history.undo.push({
+      label: entry.label,
+      state: this.getHistoryState(),
+    });
+    this.applyPlannerState(entry.state);
+    this.saveHistory();
+    this.updateHistoryButtons();
+    this.showToast(`Redone: ${entry.label}`);
+  }
 
-    // Check course count limit
-    const selectedCourses = this.getSelectedCourseCount();
-    if (selectedCourses + 1 > this.maxCourses) return false;
+  resetHistory() {
+    this.history = { undo: [], redo: [] };
+    this.saveHistory();
+    this.updateHistoryButtons();
+  }
+
+  updateHistoryButtons() {
+    const lastUndo = this.history.undo[this.history.undo.length - 1];
+    const lastRedo = this.history.redo[this.history.redo.length - 1];
+    this.undoButton.disabled = !lastUndo;
+    this.redoButton.disabled = !lastRedo;
+    this.undoButton.title = lastUndo
+      ? `Undo: ${lastUndo.label} (Ctrl+Z)`
+      : "Nothing to undo";
+    this.redoButton.title = lastRedo
+      ? `Redo: ${lastRedo.label} (Ctrl+Shift+Z)`
+      : "Nothing to redo";
+  }
+
+  // Short message at the bottom of the screen, optionally with an Undo button
+  showToast(message, withUndo = false) {
+    this.toastElement.innerHTML = `
+            <span>${message}</span>
+            ${
+              withUndo
+                ? `<button type="button" class="toast-undo">Undo</button>`
+                : ""
+            }
+        `;
+    this.toastElement.hidden = false;
+    clearTimeout(this.toastTimer);
+    this.toastTimer = setTimeout(() => {
+      this.toastElement.hidden = true;
+    }, 5000);
+  }
+
+  // The attempt recorded for a completed course (its latest one)
+  getCompletedAttempt(courseCode) {
+    const attempts = this.gradeRecords[courseCode];
+    if (!this.completedCourses.has(courseCode) || !attempts) return null;
+    return attempts[attempts.length - 1];
+  }
+
+  // Make sure a completed course has an attempt of its own, ungraded until
+  // a grade is picked on its card
+  ensureCompletedAttempt(courseCode) {
+    if (!this.completedCourses.has(courseCode)) return null;
+    if (!this.gradeRecords[courseCode]) {
+      this.gradeRecords[courseCode] = [{ term: "", grade: "" }];
+    }
+    return this.getCompletedAttempt(courseCode);
+  }
+
+  // Grade or term of a completed course, edited on its card
+  setCompletedGrade(courseCode, changes) {
+    const before = this.getHistoryState();
+    const attempt = this.ensureCompletedAttempt(courseCode);
+    if (!attempt) return;
+    Object.assign(attempt, changes);
+    this.saveGradeRecords();
+    this.commitHistory(`Change ${courseCode} grade`, before);
+    this.renderGrades();
+  }
+
+  // Record an earlier attempt: a failed or withdrawn course, or the first
+  // try at a course that was later retaken
+  addEarlierAttempt(courseCode, term, grade) {
+    if (!courseCode || !grade) return;
+    const before = this.getHistoryState();
+    // Earlier attempts go before the one that completed the course
+    const completed = this.ensureCompletedAttempt(courseCode);
+    const attempts = (this.gradeRecords[courseCode] =
+      this.gradeRecords[courseCode] || []);
+    const index = completed ? attempts.length - 1 : attempts.length;
+    attempts.splice(index, 0, { term, grade });
+    this.attemptTermInput.value = "";
+    this.saveGradeRecords();
+    this.commitHistory(`Add ${courseCode} attempt`, before);
+    this.renderGrades();
+    this.renderCourses();
+  }
+
+  removeAttempt(courseCode, index) {
+    const attempts = this.gradeRecords[courseCode];
+    if (!attempts || !attempts[index]) return;
+    const before = this.getHistoryState();
+    attempts.splice(index, 1);
+    if (attempts.length === 0) delete this.gradeRecords[courseCode];
+    this.saveGradeRecords();
+    this.commitHistory(`Remove ${courseCode} attempt`, before);
+    this.renderGrades();
+    this.renderCourses();
+  }
+
+  // Graded attempts of complete courses only; a completed course without a
+  // grade yet has an empty attempt that must not count
+  getGpaSummary() {
+    const records = {};
+    Object.entries(this.gradeRecords).forEach(([code, attempts]) => {
+      const graded = attempts.filter((attempt) => attempt.grade);
+      if (graded.length > 0) records[code] = graded;
+    });
+    const scale = getGradeScale(this.rulesData);
+    return { records, scale, ...computeGpa(this.courses, records, scale) };
+  }
+
+  gradeOptions(selected, placeholder) {
+    return `
+            ${placeholder ? `<option value="">${placeholder}</option>` : ""}
+            ${getGradeScale(this.rulesData)
+              .map(
+                (item) =>
+                  `<option value="${item.grade}" ${
+                    item.grade === selected ? "selected" : ""
+                  }>${item.grade}${
+                    item.points !== null ? ` (${item.points.toFixed(1)})` : ""
+                  }</option>`
+              )
+              .join("")}
+        `;
+  }
+
+  renderGrades() {
+    const scale = getGradeScale(this.rulesData);
+    this.gradesSection.hidden = scale.length === 0;
+    if (scale.length === 0) return;
+
+    const summary = this.getGpaSummary();
+    this.gradesSummary.textContent =
+      summary.cgpa !== null
+        ? `CGPA ${summary.cgpa.toFixed(2)} · ${summary.credits} graded credits`
+        : "No grades recorded";
+    this.useCgpaButton.disabled = summary.cgpa === null;
+
+    const termRows = summary.terms
+      .map(
+        (term) => `
+                <tr>
+                    <td>${term.term ? escapeHtml(term.term) : "Term not set"}</td>
+                    <td>${term.credits} cr</td>
+                    <td>${term.gpa !== null ? term.gpa.toFixed(2) : "—"}</td>
+                </tr>
+            `
+      )
+      .join("");
+    this.gpaTable.innerHTML = `
+            <thead><tr><th>Term</th><th>Credits</th><th>GPA</th></tr></thead>
+            <tbody>
+                ${termRows}
+                <tr class="cost-total">
+                    <td>CGPA (retakes replace earlier grades)</td>
+                    <td>${summary.credits} cr</td>
+                    <td>${summary.cgpa !== null ? summary.cgpa.toFixed(2) : "—"}</td>
+                </tr>
+            </tbody>
+        `;
+
+    // Every attempt except the one on a completed course's card
+    const earlier = [];
+    Object.entries(this.gradeRecords).forEach(([code, attempts]) => {
+      const last = this.getCompletedAttempt(code) ? attempts.length - 1 : -1;
+      attempts.forEach((attempt, index) => {
+        if (index !== last && attempt.grade) {
+          earlier.push({ code, index, attempt, attempts });
+        }
+      });
+    });
+    this.earlierAttemptsList.innerHTML =
+      earlier.length > 0
+        ? earlier
+            .map(({ code, index, attempt, attempts }) => {
+              const replaced = index < attempts.length - 1;
+              const points = getGradePoints(scale, attempt.grade);
+              return `
+                    <li>
+                        <strong>${code}</strong> ${attempt.grade}${
+                          attempt.term ? ` · ${escapeHtml(attempt.term)}` : ""
+                        }
+                        <small>${
+                          replaced && points !== null
+                            ? "replaced by a later attempt"
+                            : points === null
+                              ? "not counted"
+                              : "counted until retaken"
+                        }</small>
+                        <button class="remove-attempt" data-code="${code}" data-index="${index}" title="Remove this attempt">×</button>
+                    </li>
+                `;
+            })
+            .join("")
+        : `<li class="empty-state">No earlier attempts recorded</li>`;
+
+    const currentCourse = this.attemptCourseSelect.value;
+    this.attemptCourseSelect.innerHTML = this.courses
+      .map(
+        (course) =>
+          `<option value="${course.code}">${course.code} — ${course.name}</option>`
+      )
+      .join("");
+    if (currentCourse) this.attemptCourseSelect.value = currentCourse;
+    if (!this.attemptGradeSelect.options.length) {
+      this.attemptGradeSelect.innerHTML = this.gradeOptions("F");
+    }
+    this.probationTargetButton.hidden = !(
+      this.rulesData.creditLimits &&
+      this.rulesData.creditLimits.probationBelowCgpa
+    );
+
+    this.renderTargetResult();
+  }
+
+  // "What do I need": the lowest average grade across the selected courses
+  // that brings the CGPA to the target
+  renderTargetResult() {
+    const target = parseFloat(this.targetCgpaInput.value);
+    if (!Number.isFinite(target)) {
+      this.targetResultElement.textContent =
+        "Enter a target CGPA to see the grades you need this semester.";
+      return;
+    }
+
+    const { records, scale, cgpa } = this.getGpaSummary();
+    const result = getRequiredAverage(
+      this.courses,
+      records,
+      scale,
+      Array.from(this.selectedCourses),
+      target
+    );
+    const current = cgpa !== null ? `Your CGPA is ${cgpa.toFixed(2)}. ` : "";
+    let message;
+    if (result.credits === 0) {
+      message = `${current}Select courses for this semester to plan towards ${target.toFixed(2)}.`;
+    } else if (result.status === "reached") {
+      message = `${current}You stay at or above ${target.toFixed(2)} with any grades in your ${result.credits} selected credits.`;
+    } else if (result.status === "impossible") {
+      message = `${current}${target.toFixed(2)} is out of reach this semester: it would need a ${result.points.toFixed(2)} average across ${result.credits} credits.`;
+    } else {
+      message = `${current}To reach ${target.toFixed(2)}, average at least ${result.points.toFixed(2)} (${result.grade} or better) across your ${result.credits} selected credits.`;
+    }
+    this.targetResultElement.textContent = message;
+  }
+
+  async loadTranscriptFile(file) {
+    try {
+      this.transcriptTextInput.value = await file.text();
+    } catch (error) {
+      console.error("Error reading transcript file:", error);
+      alert("Could not read the transcript file.");
+      return;
+    }
+    this.previewTranscript();
+  }
+
+  previewTranscript() {
+    const { rows } = parseTranscript(
+      this.transcriptTextInput.value,
+      this.courses,
+      getGradeScale(this.rulesData)
+    );
+    this.transcriptRows = rows;
+    this.renderTranscriptPreview();
+    if (rows.length === 0) {
+      this.transcriptPreview.innerHTML = `<p class="empty-state">No course codes found. Each line needs a code such as CSE215 or "CSE 215L".</p>`;
+    }
+  }
+
+  renderTranscriptPreview() {
+    const rows = this.transcriptRows;
+    const { completed, notCompleted, records } = buildTranscript(
+      rows,
+      getGradeScale(this.rulesData)
+    );
+    const importable = completed.length + notCompleted.length;
+    this.applyTranscriptButton.disabled = importable === 0;
+    this.applyTranscriptButton.textContent =
+      importable > 0
+        ? `Import ${importable} course${importable !== 1 ? "s" : ""}`
+        : "Import";
+
+    if (rows.length === 0) {
+      this.transcriptSummary.textContent = "CSV or grade report";
+      this.transcriptPreview.innerHTML = "";
+      return;
+    }
+
+    const problems = rows.filter((row) => row.status !== "ok");
+    const count = (status) =>
+      problems.filter((row) => row.status === status).length;
+    this.transcriptSummary.textContent = [
+      `${completed.length} completed`,
+      notCompleted.length > 0 && `${notCompleted.length} not passed`,
+      count("unmatched") > 0 && `${count("unmatched")} unmatched`,
+      count("duplicate") > 0 && `${count("duplicate")} duplicate`,
+      count("grade") > 0 && `${count("grade")} unknown grade`,
+    ]
+      .filter(Boolean)
+      .join(" · ");
+
+    const statusText = (row) => {
+      if (row.status !== "ok") return escapeHtml(row.message);
+      const attempts = records[row.code];
+      const latest = attempts[attempts.length - 1];
+      if (latest.term !== row.term || latest.grade !== (row.grade || "")) {
+        return "Earlier attempt";
+      }
+      return completed.includes(row.code) ? "✓ Completed" : "Not passed";
+    };
+    // Rows that will not be imported are listed first
+    const ordered = [...problems, ...rows.filter((row) => row.status === "ok")];
+    this.transcriptPreview.innerHTML = `
+            <table class="cost-table transcript-table">
+                <thead>
+                    <tr><th>Line</th><th>Course</th><th>Grade</th><th>Term</th><th>Status</th></tr>
+                </thead>
+                <tbody>
+                    ${ordered
+                      .map(
+                        (row) => `
+                        <tr class="transcript-${row.status}">
+                            <td>${row.line}</td>
+                            <td>${row.code}</td>
+                            <td>${row.grade || "—"}</td>
+                            <td>${row.term || "—"}</td>
+                            <td>${statusText(row)}</td>
+                        </tr>
+                    `
+                      )
+                      .join("")}
+                </tbody>
+            </table>
+        `;
+  }
+
+  // Fill the transcript and grade records from the previewed rows. The
+  // imported courses' records replace the ones on file; a course whose
+  // latest attempt was not passed leaves the completed courses.
+  importTranscript() {
+    const { completed, notCompleted, records } = buildTranscript(
+      this.transcriptRows,
+      getGradeScale(this.rulesData)
+    );
+    if (completed.length + notCompleted.length === 0) return;
+    const before = this.getHistoryState();
+
+    // Imported attempts replace those on record for the same course
+    this.gradeRecords = { ...this.gradeRecords, ...records };
+    this.saveGradeRecords();
+
+    const transcript = new Set(this.completedCourses);
+    completed.forEach((code) => transcript.add(code));
+    notCompleted.forEach((code) => transcript.delete(code));
+
+    // Completed courses no longer need a slot in the roadmap
+    this.roadmap.forEach((semester) => {
+      semester.courses = semester.courses.filter(
+        (code) => !completed.includes(code)
+      );
+    });
+    this.saveRoadmap();
+
+    this.core.setCompletedCourses(Array.from(transcript));
+    const changed = this.commitHistory("Import transcript", before);
+    if (this.viewMode === "roadmap") this.renderRoadmap();
+
+    this.transcriptRows = [];
+    this.transcriptTextInput.value = "";
+    this.renderTranscriptPreview();
+    this.showToast(
+      `Imported ${completed.length} completed course${
+        completed.length !== 1 ? "s" : ""
+      }${
+        notCompleted.length > 0 ? ` and ${notCompleted.length} not passed` : ""
+      }`,
+      changed
+    );
+  }
+
+  getActiveScenario() {
+    return this.scenarios.scenarios.find(
+      (scenario) => scenario.id === this.scenarios.activeId
+    );
+  }
+
+  // Make another scenario the one being edited. Its state goes through the
+  // same checks as an imported plan, so scenarios saved under another
+  // catalog are migrated.
+  switchScenario(scenarioId) {
+    const scenario = this.scenarios.scenarios.find((s) => s.id === scenarioId);
+    if (!scenario || scenario.id === this.scenarios.activeId) return;
+    this.activateScenario(scenario);
+  }
+
+  // Load a scenario's plan and make it the active one. A new scenario is
+  // only added to the list once its plan has loaded.
+  activateScenario(scenario) {
+    // Keep the edits made to the scenario being left
+    this.saveScenarios();
+    if (
+      !this.restorePlannerState(scenario.state, `scenario "${scenario.name}"`)
+    ) {
+      this.renderScenarios();
+      return;
+    }
+    if (!this.scenarios.scenarios.includes(scenario)) {
+      this.scenarios.scenarios.push(scenario);
+    }
+    this.scenarios.activeId = scenario.id;
+    this.saveScenarios();
+    // Undo steps belong to the scenario they were made in
+    this.resetHistory();
+    this.renderScenarios();
+  }
+
+  // A new scenario starts from the same transcript and limits with nothing
+  // selected or planned
+  newScenario() {
+    const name = prompt(
+      "Name for the new scenario:",
+      getNextScenarioName(this.scenarios.scenarios)
+    );
+    if (name === null || !name.trim()) return;
+
+    const scenario = createScenario(
+      getUniqueScenarioName(this.scenarios.scenarios, name.trim()),
+      {
+        ...this.getPlannerState(),
+        selectedCourses: [],
+        selectedSections: {},
+        roadmap: [],
+      }
+    );
+    this.activateScenario(scenario);
+  }
+
+  duplicateScenario() {
+    this.saveScenarios();
+    const active = this.getActiveScenario();
+    const copy = createScenario(
+      getUniqueScenarioName(this.scenarios.scenarios, `${active.name} (copy)`),
+      JSON.parse(JSON.stringify(active.state))
+    );
+    this.activateScenario(copy);
+  }
+
+  renameScenario() {
+    const active = this.getActiveScenario();
+    const name = prompt("Rename this scenario:", active.name);
+    if (name === null || !name.trim() || name.trim() === active.name) return;
+
+    active.name = getUniqueScenarioName(
+      this.scenarios.scenarios.filter((scenario) => scenario !== active),
+      name.trim()
+    );
+    this.saveScenarios();
+    this.renderScenarios();
+  }
+
+  deleteScenario() {
+    const active = this.getActiveScenario();
+    if (this.scenarios.scenarios.length === 1) {
+      alert("This is the only scenario, so it cannot be deleted.");
+      return;
+    }
+    if (!confirm(`Delete the scenario "${active.name}"?`)) return;
+
+    const remaining = this.scenarios.scenarios.filter((s) => s !== active);
+    this.switchScenario(remaining[0].id);
+    if (this.scenarios.activeId === active.id) return;
+    this.scenarios.scenarios = remaining;
+    this.saveScenarios();
+    this.renderScenarios();
+  }
+
+  renderScenarios() {
+    if (!this.scenarios) return;
+    const active = this.getActiveScenario();
+    const count = this.scenarios.scenarios.length;
+
+    this.scenarioSelect.innerHTML = this.scenarios.scenarios
+      .map(
+        (scenario) =>
+          `<option value="${scenario.id}">${escapeHtml(scenario.name)}</option>`
+      )
+      .join("");
+    this.scenarioSelect.value = active.id;
+    this.deleteScenarioButton.disabled = count === 1;
+    this.scenarioSummary.textContent = `Editing ${active.name} · ${count} scenario${
+      count !== 1 ? "s" : ""
+    }`;
+
+    if (this.scenarioSection.open) this.renderScenarioComparison();
+  }
+
+  // Side-by-side figures for every scenario's semester selection
+  renderScenarioComparison() {
+    const feeSchedule = this.core.getFeeSchedule();
+    const context = {
+      courses: this.courses,
+      rulesData: this.rulesData,
+      alternativeGroups: this.alternativeGroups,
+      feeSchedule,
+      adjustments: {
+        ...this.costAdjustments,
+        retakeCourses: Array.from(this.retakeCourses),
+      },
+    };
+    const columns = this.scenarios.scenarios.map((scenario) => {
+      const isActive = scenario.id === this.scenarios.activeId;
+      const state = isActive ? this.getPlannerState() : scenario.state;
+      return { scenario, isActive, summary: summarizeScenario(state, context) };
+    });
+    const money = (amount) =>
+      feeSchedule ? `${feeSchedule.currency}${amount.toLocaleString()}` : "—";
+
+    const header = columns
+      .map(({ scenario, isActive }) =>
+        isActive
+          ? `<th class="active-scenario">${escapeHtml(
+              scenario.name
+            )}<small>Editing</small></th>`
+          : `<th><button class="scenario-switch" data-scenario="${
+              scenario.id
+            }" title="Switch to this scenario">${escapeHtml(
+              scenario.name
+            )}</button></th>`
+      )
+      .join("");
+    const row = (label, cell) => `
+            <tr>
+                <td>${label}</td>
+                ${columns
+                  .map(
+                    (column) =>
+                      `<td class="${column.isActive ? "active-scenario" : ""}">${cell(
+                        column.summary
+                      )}</td>`
+                  )
+                  .join("")}
+            </tr>
+        `;
+
+    this.scenarioComparison.innerHTML = `
+            <thead><tr><th></th>${header}</tr></thead>
+            <tbody>
+                ${row(
+                  "Credits",
+                  (summary) => `${summary.credits} / ${summary.maxCredits}`
+                )}
+                ${row("Courses", (summary) => summary.courseCount)}
+                ${row("Semester cost", (summary) =>
+                  money(summary.cost ? summary.cost.payable : 0)
+                )}
+                ${row("Lab fees triggered", (summary) =>
+                  summary.conditionalFees.length > 0
+                    ? summary.conditionalFees
+                        .map((fee) => `${fee.name} (${money(fee.amount)})`)
+                        .join("<br>")
+                    : "None"
+                )}
+                ${row(
+                  "Degree progress gained",
+                  (summary) =>
+                    `+${summary.progressCredits} credits (${summary.progressPercent.toFixed(
+                      1
+                    )}%)`
+                )}
+            </tbody>
+        `;
+  }
+
+  // Snapshot of everything needed to restore the plan elsewhere
+  getPlannerState() {
+    const trailState = this.core.getTrailState();
+    return {
+      version: PLAN_FILE_VERSION,
+      catalog: this.catalog.id,
+      selectedCourses: Array.from(this.selectedCourses),
+      selectedSections: { ...this.selectedSections },
+      completedCourses: Array.from(this.completedCourses),
+      electiveTrailSelections: {
+        firstTrail: trailState.firstTrail,
+        thirdTrail: trailState.thirdTrail,
+      },
+      limits: { maxCredits: this.maxCredits, maxCourses: this.maxCourses },
+      roadmap: this.roadmap.map((semester) => ({
+        name: semester.name,
+        maxCredits: semester.maxCredits,
+        maxCourses: semester.maxCourses,
+        courses: [...semester.courses],
+      })),
+    };
+  }
+
+  // The plan with the retake marks, grade records and credit policy. Undo
+  // snapshots and catalog migrations carry these; exports and share links
+  // leave them out.
+  getHistoryState() {
+    return {
+      ...this.getPlannerState(),
+      retakeCourses: Array.from(this.retakeCourses),
+      // Copied, as attempts are edited in place
+      gradeRecords: JSON.parse(JSON.stringify(this.gradeRecords)),
+      creditPolicy: { ...this.creditPolicy },
+    };
+  }
+
+  // Replace the current plan with a validated state
+  applyPlannerState(state) {
+    this.roadmap = state.roadmap.map((semester) => ({
+      id: this.createSemesterId(),
+      name: semester.name,
+      maxCredits:
+        semester.maxCredits || state.limits.maxCredits || this.maxCredits,
+      maxCourses:
+        semester.maxCourses || state.limits.maxCourses || this.maxCourses,
+      courses: semester.courses,
+      reasons: {},
+    }));
+    this.saveRoadmap();
+    if (state.gradeRecords) {
+      this.gradeRecords = JSON.parse(JSON.stringify(state.gradeRecords));
+      this.saveGradeRecords();
+    }
+    // The limits themselves come back with the plan, so only the cap they
+    // are checked against is worked out again
+    if (state.creditPolicy) {
+      this.creditPolicy = { ...state.creditPolicy };
+      this.saveCreditPolicy();
+      this.renderCreditPolicyInputs();
+      this.creditLimits = getCreditLimits(this.rulesData, this.creditPolicy);
+    }
+
+    this.core.setState(state);
+    this.maxCreditsInput.value = this.maxCredits;
+    this.maxCoursesInput.value = this.maxCourses;
+    if (this.viewMode === "roadmap") this.renderRoadmap();
+  }
+
+  // Validate a raw state and apply it, reporting anything that was dropped
+  restorePlannerState(raw, source) {
+    const courseCodes = this.courses.map((c) => c.code);
+    const catalogNotes = [];
+    // Plans saved under another catalog have their codes migrated first
+    if (
+      raw &&
+      typeof raw.catalog === "string" &&
+      raw.catalog !== this.catalog.id
+    ) {
+      try {
+        const migration = migratePlannerState(
+          raw,
+          raw.catalog,
+          this.catalog,
+          courseCodes
+        );
+        raw = migration.state;
+        migration.renamed.forEach(([from, to]) => {
+          catalogNotes.push(
+            `Renamed ${from} to ${to} for ${this.catalog.name}`
+          );
+        });
+        if (migration.dropped.length > 0) {
+          catalogNotes.push(
+            `Not offered in ${this.catalog.name}: ${migration.dropped.join(", ")}`
+          );
+        }
+      } catch (error) {
+        // A malformed plan is reported by the validation below
+        console.error("Error migrating plan between catalogs:", error);
+      }
+    }
+
+    const { state, errors, warnings } = validatePlanState(raw, courseCodes);
+    warnings.unshift(...catalogNotes);
+    if (!state) {
+      alert(`Could not load the ${source}:\n\n${errors.join("\n")}`);
+      return false;
+    }
+    const before = this.getHistoryState();
+    this.applyPlannerState(state);
+    this.commitHistory(`Load ${source}`, before);
+    if (warnings.length > 0) {
+      alert(`Loaded the ${source} with warnings:\n\n${warnings.join("\n")}`);
+    }
+    return true;
+  }
+
+  downloadFile(filename, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  }
+
+  exportPlan() {
+    this.downloadFile(
+      `course-plan-${new Date().toISOString().slice(0, 10)}.json`,
+      JSON.stringify(this.getPlannerState(), null, 2),
+      "application/json"
+    );
+  }
+
+  // Download the chosen sections as recurring calendar events
+  exportCalendar() {
+    const chosen = this.core.getChosenSections();
+    let calendar;
+    try {
+      calendar = buildCalendar(chosen, this.courses, this.sectionsData);
+    } catch (error) {
+      console.error("Error building calendar:", error);
+      alert(`Could not export the timetable: ${error.message}`);
+      return;
+    }
+    const semester = (this.sectionsData.semester || "semester")
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-");
+    this.downloadFile(
+      `timetable-${semester}.ics`,
+      calendar.ics,
+      "text/calendar"
+    );
+
+    const unscheduled = Array.from(this.selectedCourses).filter(
+      (code) => !chosen.some((entry) => entry.code === code)
+    );
+    const missing = [...unscheduled, ...calendar.skipped];
+    this.showToast(
+      `Exported ${calendar.events} class${calendar.events !== 1 ? "es" : ""}${
+        missing.length > 0 ? `; no class times for ${missing.join(", ")}` : ""
+      }`
+    );
+  }
+
+  getAdvisingSheet() {
+    return buildAdvisingSheet(this.core.getSelectedCourses(), {
+      student: this.studentInfo,
+      catalogName: this.catalog.name,
+      sections: this.selectedSections,
+      cost: this.core.getCost(),
+      feeSchedule: this.core.getFeeSchedule(),
+    });
+  }
+
+  // Fill the print-only advising sheet; the print stylesheet shows it alone
+  // while body has the printing-advising class
+  renderAdvisingPrint(sheet) {
+    const courseRows = sheet.courses
+      .map(
+        (course) => `
+                <tr>
+                    <td>${course.code}</td>
+                    <td>${course.name}</td>
+                    <td>${course.credits}</td>
+                    <td>${getTypeName(course.type)}</td>
+                    <td>${course.category}</td>
+                    <td>${course.corequisites.join(", ") || "—"}</td>
+                    <td>${course.section || "—"}</td>
+                </tr>
+            `
+      )
+      .join("");
+    const costRows = sheet.costLines
+      .map(
+        (line) => `
+                <tr class="advising-${line.kind}">
+                    <td>${line.label}</td>
+                    <td>${formatMoney(line.amount, sheet.cost.currency)}</td>
+                </tr>
+            `
+      )
+      .join("");
+
+    this.advisingPrint.innerHTML = `
+            <h1>Advising Sheet</h1>
+            <dl class="advising-details">
+                <dt>Student</dt><dd>${escapeHtml(sheet.student.name) || "&nbsp;"}</dd>
+                <dt>Student ID</dt><dd>${escapeHtml(sheet.student.id) || "&nbsp;"}</dd>
+                <dt>Catalog</dt><dd>${sheet.catalogName}</dd>
+                <dt>Date</dt><dd>${sheet.date}</dd>
+            </dl>
+            <table class="advising-table">
+                <thead>
+                    <tr><th>Code</th><th>Course</th><th>Credits</th><th>Type</th><th>Category</th><th>Corequisites</th><th>Section</th></tr>
+                </thead>
+                <tbody>
+                    ${courseRows || `<tr><td colspan="7">No courses selected</td></tr>`}
+                </tbody>
+                <tfoot>
+                    <tr><td colspan="2">Total credits</td><td colspan="5">${sheet.totalCredits}</td></tr>
+                </tfoot>
+            </table>
+            ${
+              sheet.cost
+                ? `
+                <h2>Estimated Cost${
+                  sheet.feeScheduleName
+                    ? ` <small>Fees: ${sheet.feeScheduleName}</small>`
+                    : ""
+                }</h2>
+                <table class="advising-table advising-cost">
+                    <tbody>${costRows}</tbody>
+                </table>
+            `
+                : ""
+            }
+            <div class="advising-signatures">
+                <span>Student signature</span>
+                <span>Advisor signature</span>
+            </div>
+        `;
+  }
+
+  printAdvisingSheet() {
+    this.renderAdvisingPrint(this.getAdvisingSheet());
+    document.body.classList.add("printing-advising");
+    window.print();
+  }
+
+  exportAdvisingCsv() {
+    const sheet = this.getAdvisingSheet();
+    this.downloadFile(
+      `advising-sheet-${sheet.date}.csv`,
+      advisingSheetToCsv(sheet),
+      "text/csv"
+    );
+  }
+
+  async copyAdvisingMarkdown() {
+    const sheet = this.getAdvisingSheet();
+    const markdown = advisingSheetToMarkdown(sheet);
+    try {
+      await navigator.clipboard.writeText(markdown);
+      this.showToast("Advising sheet copied as text");
+    } catch (error) {
+      // Clipboard access can be blocked; hand over a file instead
+      this.downloadFile(
+        `advising-sheet-${sheet.date}.md`,
+        markdown,
+        "text/markdown"
+      );
+    }
+  }
+
+  async importPlan(file) {
+    let raw;
+    try {
+      raw = JSON.parse(await file.text());
+    } catch (error) {
+      console.error("Error reading plan file:", error);
+      alert("Could not load the plan file: it is not valid JSON.");
+      return;
+    }
+    if (
+      (this.selectedCourses.size > 0 || this.completedCourses.size > 0) &&
+      !confirm("Replace your current plan with the imported one?")
+    ) {
+      return;
+    }
+    this.restorePlannerState(raw, "plan file");
+  }
+
+  getShareLink() {
+    const encoded = encodeShareLink(this.getPlannerState());
+    return `${location.origin}${location.pathname}#plan=${encoded}`;
+  }
+
+  async copyShareLink() {
+    const link = this.getShareLink();
+    try {
+      await navigator.clipboard.writeText(link);
+      alert("Share link copied to the clipboard.");
+    } catch (error) {
+      // Clipboard access can be blocked; let the user copy it by hand
+      prompt("Copy this link to share your plan:", link);
+    }
+  }
 
-    // Check alternative course restrictions
-    if (this.wouldViolateAlternatives(course.code)) return false;
+  loadSharedPlanFromUrl() {
+    const match = /[#&]plan=([A-Za-z0-9_-]+)/.exec(location.hash);
+    if (!match) return;
 
-    return true;
+    let raw;
+    try {
+      raw = decodeShareLink(match[1]);
+    } catch (error) {
+      console.error("Error decoding shared plan:", error);
+      alert("The share link is damaged and could not be opened.");
+      raw = null;
+    }
+    if (
+      raw &&
+      confirm("Open the shared plan? This replaces your current plan.")
+    ) {
+      this.restorePlannerState(raw, "shared plan");
+    }
+    // Drop the plan from the address bar so a reload keeps local edits
+    history.replaceState(null, "", location.pathname + location.search);
   }
 
-  addCourse(courseCode) {
-    const course = this.courses.find((c) => c.code === courseCode);
-    if (!course) return;
+  openCommandPalette() {
+    this.commandPalette.hidden = false;
+    this.commandPaletteInput.value = "";
+    this.paletteIndex = 0;
+    this.commandPaletteHint.textContent =
+      "↑↓ to move · Enter to add or remove · Esc to close";
+    this.renderCommandPalette();
+    this.commandPaletteInput.focus();
+  }
 
-    // Handle specialized elective trail selection
-    if (course.category.includes("Trail")) {
-      const selectedElectiveTrails = this.getSelectedElectiveTrails();
+  closeCommandPalette() {
+    this.commandPalette.hidden = true;
+    this.searchInput.focus();
+  }
 
-      // First elective trail selection (for first 2 courses)
-      if (
-        selectedElectiveTrails.firstTrailCourses < 2 &&
-        !this.electiveTrailSelections.firstTrail
-      ) {
-        this.electiveTrailSelections.firstTrail = course.category;
-      }
-      // Third elective trail selection (can be any trail)
-      else if (
-        selectedElectiveTrails.firstTrailCourses >= 2 &&
-        selectedElectiveTrails.thirdTrailCourses === 0 &&
-        !this.electiveTrailSelections.thirdTrail
-      ) {
-        this.electiveTrailSelections.thirdTrail = course.category;
-      }
+  // Why a course cannot be added right now, or null if it can
+  getUnavailableReason(course) {
+    if (this.completedCourses.has(course.code)) return "Already completed";
+    const missing = this.core.getMissingPrerequisites(course);
+    if (missing.length > 0) return `Needs ${missing.join(", ")}`;
+    const violations = this.core.getRuleViolations(course);
+    if (violations.length > 0) return violations[0].message;
+    const trailState = this.core.getTrailState();
+    if (!isTrailCourseAllowed(this.trailRule, trailState, course)) {
+      return `Finish the ${trailState.firstTrail} first`;
     }
-
-    // Add corequisites automatically
-    if (course.corequisites && course.corequisites.length > 0) {
-      course.corequisites.forEach((coreq) => {
-        if (!this.selectedCourses.has(coreq)) {
-          this.selectedCourses.add(coreq);
-        }
-      });
+    if (!this.core.isCourseAvailable(course)) {
+      return "Exceeds your limits or clashes with your timetable";
     }
+    return null;
+  }
 
-    this.selectedCourses.add(courseCode);
-    this.updateStats();
-    this.renderCourses();
-    // Save the updated set to localStorage
-    this.saveSelectedCourses();
+  renderCommandPalette() {
+    const query = this.commandPaletteInput.value.trim();
+    const results = query ? rankCourses(this.courses, query).slice(0, 8) : [];
+    this.paletteResults = results.map((result) => result.course.code);
+    this.paletteIndex = Math.min(
+      this.paletteIndex || 0,
+      Math.max(results.length - 1, 0)
+    );
 
-    // Clear search bar after selecting a course
-    // this.clearSearch(); // Commented out to keep search text persistent
+    if (query && results.length === 0) {
+      this.commandPaletteResults.innerHTML = `<li class="command-palette-empty">No courses match "${escapeHtml(
+        query
+      )}"</li>`;
+      return;
+    }
+
+    this.commandPaletteResults.innerHTML = results
+      .map(({ course, matches }, index) => {
+        const isSelected = this.selectedCourses.has(course.code);
+        const reason = isSelected ? null : this.getUnavailableReason(course);
+        const status = isSelected
+          ? "Selected · Enter to remove"
+          : reason || "Enter to add";
+        return `
+                <li class="command-palette-item${
+                  index === this.paletteIndex ? " active" : ""
+                }${isSelected ? " selected" : ""}${
+                  reason ? " unavailable" : ""
+                }" data-code="${course.code}" role="option" aria-selected="${
+                  index === this.paletteIndex
+                }">
+                    <span class="command-palette-code">${highlightMatches(
+                      course.code,
+                      matches.code
+                    )}</span>
+                    <span class="command-palette-name">${highlightMatches(
+                      course.name,
+                      matches.name
+                    )}</span>
+                    <span class="command-palette-status">${status}</span>
+                </li>
+            `;
+      })
+      .join("");
   }
 
-  removeCourse(courseCode) {
+  // Add or remove the highlighted course through the normal planner paths
+  togglePaletteCourse(courseCode) {
     const course = this.courses.find((c) => c.code === courseCode);
     if (!course) return;
 
-    // Handle specialized elective trail deselection
-    if (course.category.includes("Trail")) {
-      const selectedElectiveTrails = this.getSelectedElectiveTrails();
-
-      // If removing from first trail and it was the last course from that trail
-      if (this.electiveTrailSelections.firstTrail === course.category) {
-        const remainingFromFirstTrail =
-          selectedElectiveTrails.trailCounts[course.category] - 1;
-        if (remainingFromFirstTrail <= 0) {
-          this.electiveTrailSelections.firstTrail = null;
-        }
-      }
-
-      // If removing from third trail and it was the only course from that trail
-      if (this.electiveTrailSelections.thirdTrail === course.category) {
-        const remainingFromThirdTrail =
-          selectedElectiveTrails.trailCounts[course.category] - 1;
-        if (remainingFromThirdTrail <= 0) {
-          this.electiveTrailSelections.thirdTrail = null;
-        }
+    if (this.selectedCourses.has(course.code)) {
+      this.removeCourse(course.code);
+      this.commandPaletteHint.textContent = `Removed ${course.code}`;
+    } else {
+      const reason = this.getUnavailableReason(course);
+      if (reason) {
+        this.commandPaletteHint.textContent = `Cannot add ${course.code}: ${reason}`;
+      } else {
+        this.addCourse(course.code);
+        this.commandPaletteHint.textContent = `Added ${course.code}`;
       }
     }
-
-    // Remove corequisites if they were added automatically
-    if (course.corequisites) {
-      course.corequisites.forEach((coreq) => {
-        if (this.selectedCourses.has(coreq)) {
-          const manuallySelected = Array.from(this.selectedCourses).some(
-            (code) => {
-              if (code === courseCode) return false;
-              const c = this.courses.find((course) => course.code === code);
-              return c && c.corequisites && c.corequisites.includes(coreq);
-            }
-          );
-          if (!manuallySelected) {
-            this.selectedCourses.delete(coreq);
-          }
-        }
-      });
-    }
-
-    this.selectedCourses.delete(courseCode);
-    this.updateStats();
-    this.renderCourses();
-    // Save the updated set to localStorage
-    this.saveSelectedCourses();
-
-    // Clear search bar after removing a course
-    // this.clearSearch(); // Commented out to keep search text persistent
+    this.renderCommandPalette();
   }
 
   // Clear the search input field
@@ -391,95 +2799,70 @@ class CoursePlanner {
     this.searchInput.focus(); // Focus the search input after clearing
   }
 
-  getSelectedElectiveTrails() {
-    const trailCourses = Array.from(this.selectedCourses)
-      .map((code) => this.courses.find((c) => c.code === code))
-      .filter((course) => course && course.category.includes("Trail"));
+  matchesSearchTerm(course, searchTerm) {
+    if (!searchTerm) return true;
+    return searchCourse(course, searchTerm) !== null;
+  }
 
-    const trailCounts = {};
-    trailCourses.forEach((course) => {
-      trailCounts[course.category] = (trailCounts[course.category] || 0) + 1;
-    });
+  // Best search matches first; without a search the order is unchanged
+  rankBySearch(courses, searchTerm) {
+    if (!searchTerm) return courses;
+    return rankCourses(courses, searchTerm).map((result) => result.course);
+  }
 
-    const firstTrailCourses = this.electiveTrailSelections.firstTrail
-      ? trailCounts[this.electiveTrailSelections.firstTrail] || 0
-      : 0;
+  // A course field with the parts matching the current search marked
+  highlightSearch(course, field) {
+    const searchTerm = this.searchInput.value.trim();
+    if (!searchTerm) return course[field];
+    const result = searchCourse(course, searchTerm);
+    return highlightMatches(course[field], result && result.matches[field]);
+  }
 
-    const thirdTrailCourses = this.electiveTrailSelections.thirdTrail
-      ? trailCounts[this.electiveTrailSelections.thirdTrail] || 0
-      : 0;
+  // Number of courses that depend on this one, directly or further down
+  getUnlockCount(courseCode) {
+    if (!this.unlockCounts.has(courseCode)) {
+      this.unlockCounts.set(
+        courseCode,
+        getChain(this.prerequisiteGraph, courseCode, "downstream").size
+      );
+    }
+    return this.unlockCounts.get(courseCode);
+  }
 
+  getFilterHelpers() {
     return {
-      trailCourses,
-      trailCounts,
-      firstTrailCourses,
-      thirdTrailCourses,
+      hasUnmetPrerequisites: (course) =>
+        this.core.getMissingPrerequisites(course).length > 0,
+      getUnlockCount: (course) => this.getUnlockCount(course.code),
     };
   }
 
-  filterCourses(courses, searchTerm, categoryFilter, typeFilter) {
-    const selectedElectiveTrails = this.getSelectedElectiveTrails();
+  // Courses matching the search that the trail rule lets the student pick;
+  // the faceted filters are applied on top of this
+  filterCourses(courses, searchTerm) {
+    const selectedElectiveTrails = this.core.getTrailState();
 
     return courses.filter((course) => {
       // Search term filter
-      if (searchTerm) {
-        const term = searchTerm.toLowerCase();
-        if (
-          !course.code.toLowerCase().includes(term) &&
-          !course.name.toLowerCase().includes(term) &&
-          !course.category.toLowerCase().includes(term)
-        ) {
-          return false;
-        }
-      }
-
-      // Category filter
-      if (categoryFilter && course.category !== categoryFilter) {
+      if (!this.matchesSearchTerm(course, searchTerm)) {
         return false;
       }
 
-      // Type filter
-      if (typeFilter && course.type !== typeFilter) {
+      // Specialized elective trail filtering: until the first trail is
+      // complete only its courses are shown; the extra elective can then
+      // come from any trail
+      if (
+        !isTrailCourseAllowed(this.trailRule, selectedElectiveTrails, course)
+      ) {
         return false;
       }
 
-      // Specialized elective trail filtering
-      if (course.category.includes("Trail")) {
-        // If first trail is selected, only show courses from that trail for first 2 electives
-        if (
-          this.electiveTrailSelections.firstTrail &&
-          selectedElectiveTrails.firstTrailCourses < 2 &&
-          course.category !== this.electiveTrailSelections.firstTrail
-        ) {
-          return false;
-        }
-
-        // If first 2 electives are from one trail, third can be from any trail
-        // But we still want to show all trail courses for selection
-      }
-
       return true;
     });
   }
 
   getCategoryClass(category) {
-    const categoryMap = {
-      "CSE Core": "category-core",
-      "SEPS Core": "category-seps",
-      "University Core": "category-university",
-      "CSE Major Capstone Design": "category-capstone",
-      "CSE Specialized Elective": "category-elective",
-      "Open Elective": "category-open-elective",
-      "Internship / Co-op": "category-internship",
-      "Algorithms and Computation Trail": "category-elective",
-      "Software Engineering Trail": "category-software",
-      "Networks Trail": "category-network",
-      "Computer Architecture and VLSI Trail": "category-architecture",
-      "Artificial Intelligence Trail": "category-ai",
-      "Bioinformatics Trail": "category-bio",
-    };
-
-    return categoryMap[category] || "category-core";
+    return CATEGORY_CLASSES[category] || "category-core";
   }
 
   getTypeClass(type) {
@@ -487,75 +2870,101 @@ class CoursePlanner {
   }
 
   createElectiveTrailInfo() {
-    const selectedElectiveTrails = this.getSelectedElectiveTrails();
-    const totalTrailCourses = selectedElectiveTrails.trailCourses.length;
+    const progress = this.core.getProgress().rules;
 
-    if (totalTrailCourses === 0) return "";
+    // Suggest a trail until the first one has all its courses
+    const trailState = this.core.getTrailState();
+    const recommendations =
+      this.trailRule &&
+      trailState.firstTrailCourses < this.trailRule.primaryCount
+        ? this.core.getTrailRecommendations().slice(0, 3)
+        : [];
 
-    let infoHTML = `
-            <div class="elective-trail-info">
-                <h3>Specialized Elective Progress</h3>
-                <div class="trail-progress">
-        `;
+    if (progress.length === 0 && recommendations.length === 0) return "";
 
-    // First trail requirement (2 courses/6 credits)
-    if (this.electiveTrailSelections.firstTrail) {
-      const firstTrailCount = selectedElectiveTrails.firstTrailCourses;
-      infoHTML += `
+    const progressHTML = progress
+      .map(
+        (item) => `
                 <div class="trail-requirement">
-                    <p><strong>First Trail (${
-                      this.electiveTrailSelections.firstTrail
-                    }):</strong>
-                    ${firstTrailCount}/2 courses (minimum 6 credits)</p>
+                    <p><strong>${item.label}:</strong>
+                    ${item.current}/${item.target} ${item.unit}${
+                      item.target !== 1 ? "s" : ""
+                    }</p>
                     <div class="progress-bar">
                         <div class="progress-fill" style="width: ${Math.min(
-                          firstTrailCount * 50,
+                          (item.current / item.target) * 100,
                           100
                         )}%"></div>
                     </div>
                 </div>
-            `;
-    }
-
-    // Third elective requirement (1 course/3 credits)
-    if (totalTrailCourses >= 2) {
-      const thirdTrailCount = selectedElectiveTrails.thirdTrailCourses;
-      const thirdTrailName =
-        this.electiveTrailSelections.thirdTrail || "Any Trail";
-      infoHTML += `
-                <div class="trail-requirement">
-                    <p><strong>Third Elective (${thirdTrailName}):</strong>
-                    ${thirdTrailCount}/1 course (3 credits)</p>
-                    <div class="progress-bar">
-                        <div class="progress-fill" style="width: ${
-                          thirdTrailCount * 100
-                        }%"></div>
-                    </div>
-                </div>
-            `;
-    }
+            `
+      )
+      .join("");
 
-    infoHTML += `
-                </div>
-                <p class="trail-requirement-text">
-                    <strong>Requirement:</strong> Select minimum 2 courses (6 credits) from one trail,
-                    and 1 additional course (3 credits) from any trail.
-                </p>
+    return `
+            <div class="elective-trail-info">
+                <h3>Specialized Elective Progress</h3>
+                <div class="trail-progress">${progressHTML}</div>
+                ${
+                  recommendations.length > 0
+                    ? `<div class="trail-recommendations">
+                    <p><strong>Closest trails to complete:</strong></p>
+                    <ol>${recommendations
+                      .map(
+                        (item) => `<li>
+                        <strong>${item.trail}</strong>: ${item.steps} course${
+                          item.steps !== 1 ? "s" : ""
+                        } to go${
+                          item.taken.length > 0
+                            ? ` (${item.taken.join(", ")} taken)`
+                            : ""
+                        }
+                        ${
+                          item.ready.length > 0
+                            ? `<br><small>Ready now: ${item.ready.join(
+                                ", "
+                              )}</small>`
+                            : ""
+                        }
+                        ${
+                          item.missing.length > 0
+                            ? `<br><small>Prerequisites needed first: ${item.missing.join(
+                                ", "
+                              )}</small>`
+                            : ""
+                        }
+                    </li>`
+                      )
+                      .join("")}</ol>
+                </div>`
+                    : ""
+                }
+                ${
+                  this.trailRule && this.trailRule.description
+                    ? `<p class="trail-requirement-text">
+                    <strong>Requirement:</strong> ${this.trailRule.description}
+                </p>`
+                    : ""
+                }
             </div>
         `;
-
-    return infoHTML;
   }
 
-  createCourseCard(course, isSelected = false) {
+  createCourseCard(course, isSelected = false, isCompleted = false) {
     const card = document.createElement("div");
-    card.className = `course-card ${isSelected ? "selected" : ""}`;
+    card.className = `course-card ${isSelected ? "selected" : ""} ${
+      isCompleted ? "completed" : ""
+    }`;
 
     // Check if course is available for selection
-    const isAvailable = !isSelected && this.isCourseAvailable(course);
-    const wouldViolate = this.wouldViolateAlternatives(course.code);
-
-    if (!isAvailable && !isSelected) {
+    const isAvailable =
+      !isSelected && !isCompleted && this.core.isCourseAvailable(course);
+    const wouldViolate = this.core.wouldViolateAlternatives(course.code);
+    const missingPrerequisites = isCompleted
+      ? []
+      : this.core.getMissingPrerequisites(course);
+
+    if (!isAvailable && !isSelected && !isCompleted) {
       card.classList.add("disabled");
     }
 
@@ -569,7 +2978,11 @@ class CoursePlanner {
                         ${course.prerequisites
                           .map(
                             (prereq) =>
-                              `<span class="prerequisite-tag">${prereq}</span>`
+                              `<span class="prerequisite-tag ${
+                                missingPrerequisites.includes(prereq)
+                                  ? "unmet"
+                                  : ""
+                              }">${prereq}</span>`
                           )
                           .join("")}
                     </div>
@@ -607,7 +3020,7 @@ class CoursePlanner {
     }
 
     // Special handling for trail courses
-    if (course.category.includes("Trail")) {
+    if (isTrailCourse(this.trailRule, course)) {
       specialInfo += `
                 <div class="trail-course-info">
                     <p><strong>${course.category}</strong></p>
@@ -615,85 +3028,843 @@ class CoursePlanner {
             `;
     }
 
-    // Show alternative course information
-    const alternativeGroup = this.getAlternativeGroup(course.code);
-    if (alternativeGroup.length > 1) {
-      const selectedAlternatives = alternativeGroup.filter(
-        (code) => this.selectedCourses.has(code) && code !== course.code
+    // Show progress towards credit-threshold prerequisites
+    const creditRequirements = (course.prerequisites || [])
+      .map((prereq) => getCreditRequirement(prereq))
+      .filter((credits) => credits !== null);
+    if (creditRequirements.length > 0 && !isCompleted) {
+      const requiredCredits = Math.max(...creditRequirements);
+      const earnedCredits = this.core.getEarnedCredits();
+      specialInfo += `
+                <div class="credit-requirement-info ${
+                  earnedCredits < requiredCredits ? "warning" : ""
+                }">
+                    <p><strong>🎓 ${earnedCredits}/${requiredCredits} credits earned</strong></p>
+                    <div class="progress-bar">
+                        <div class="progress-fill" style="width: ${Math.min(
+                          (earnedCredits / requiredCredits) * 100,
+                          100
+                        )}%"></div>
+                    </div>
+                </div>
+            `;
+    }
+
+    // Show which prerequisites still need to be completed
+    if (missingPrerequisites.length > 0) {
+      specialInfo += `
+                <div class="prerequisite-info warning">
+                    <p><strong>🔒 Missing Prerequisites:</strong> ${missingPrerequisites.join(
+                      ", "
+                    )}</p>
+                </div>
+            `;
+    }
+
+    // Show section choice for selected courses, or clashes for available ones
+    const sections = this.core.getSections(course.code);
+    if (sections.length > 0 && isSelected) {
+      const theoryCoreq = (course.corequisites || [])
+        .map((code) => this.courses.find((c) => c.code === code))
+        .find((c) => c && c.type !== "lab" && this.selectedCourses.has(c.code));
+      const theorySection = theoryCoreq
+        ? this.core.getSelectedSection(theoryCoreq.code)
+        : null;
+      const others = this.core.getChosenSections([course.code]);
+      const current = this.core.getSelectedSection(course.code);
+      const currentClashes = current ? getClashingCourses(current, others) : [];
+
+      specialInfo += `
+                <div class="section-info ${currentClashes.length > 0 ? "warning" : ""}">
+                    <label><strong>Section:</strong>
+                        <select class="section-select filter-dropdown">
+                            ${current ? "" : `<option value="">Choose a section</option>`}
+                            ${sections
+                              .map((section) => {
+                                const clashes = getClashingCourses(
+                                  section,
+                                  others
+                                );
+                                const incompatible =
+                                  course.type === "lab" &&
+                                  theorySection &&
+                                  !isLabCompatible(section, theorySection);
+                                const note = incompatible
+                                  ? " — not paired with your theory section"
+                                  : clashes.length > 0
+                                    ? ` — clashes with ${clashes.join(", ")}`
+                                    : "";
+                                return `<option value="${section.section}" ${
+                                  current && current.section === section.section
+                                    ? "selected"
+                                    : ""
+                                } ${
+                                  (clashes.length > 0 || incompatible) &&
+                                  !(
+                                    current &&
+                                    current.section === section.section
+                                  )
+                                    ? "disabled"
+                                    : ""
+                                }>${section.section}: ${section.days} ${section.start}–${
+                                  section.end
+                                } • ${section.faculty} • ${section.room}${note}</option>`;
+                              })
+                              .join("")}
+                        </select>
+                    </label>
+                    ${
+                      currentClashes.length > 0
+                        ? `<p>⏰ Clashes with ${currentClashes.join(", ")}</p>`
+                        : ""
+                    }
+                </div>
+            `;
+    } else if (
+      sections.length > 0 &&
+      !isCompleted &&
+      missingPrerequisites.length === 0 &&
+      !this.core.findSectionsForCourse(course)
+    ) {
+      specialInfo += `
+                <div class="section-info warning">
+                    <p><strong>⏰ Time Clash:</strong> every section clashes with your timetable</p>
+                </div>
+            `;
+    }
+
+    // Completed courses carry the grade and term they were passed with
+    if (isCompleted && getGradeScale(this.rulesData).length > 0) {
+      const attempt = this.getCompletedAttempt(course.code);
+      const earlierAttempts = (this.gradeRecords[course.code] || []).slice(
+        0,
+        -1
       );
+      specialInfo += `
+                <div class="grade-info">
+                    <select class="grade-select filter-dropdown" aria-label="Grade">
+                        ${this.gradeOptions(attempt && attempt.grade, "Grade")}
+                    </select>
+                    <input type="text" class="term-input" placeholder="Term, e.g. Fall 2024" value="${
+                      attempt ? attempt.term : ""
+                    }">
+                    ${
+                      earlierAttempts.length > 0
+                        ? `<p>↻ Retaken; replaces ${earlierAttempts
+                            .map((earlier) => earlier.grade)
+                            .join(", ")}</p>`
+                        : ""
+                    }
+                </div>
+            `;
+    }
+
+    // Selected courses can be marked as retakes of a failed attempt
+    if (isSelected) {
+      specialInfo += `
+                <label class="retake-toggle">
+                    <input type="checkbox" class="retake-card-checkbox" ${
+                      this.retakeCourses.has(course.code) ? "checked" : ""
+                    }> ↻ Retake (previously failed)
+                </label>
+            `;
+    }
+
+    // When sorting by unlocks, show what each course leads to
+    if (this.filters.sortByUnlocks && !isSelected && !isCompleted) {
+      const unlocks = this.getUnlockCount(course.code);
+      specialInfo += `
+                <div class="unlocks-info">
+                    <p>🔓 Unlocks ${unlocks} course${unlocks !== 1 ? "s" : ""}</p>
+                </div>
+            `;
+    }
 
-      if (selectedAlternatives.length > 0) {
-        specialInfo += `
+    // Show curriculum rule conflicts, or the alternatives a course has
+    const violations =
+      isSelected || isCompleted ? [] : this.core.getRuleViolations(course);
+    const chooseRule = getChooseRule(this.rulesData, course.code);
+    if (violations.length > 0) {
+      specialInfo += violations
+        .map(
+          (violation) => `
                     <div class="alternative-info warning">
-                        <p><strong>⚠️ Alternative Course Conflict:</strong> ${selectedAlternatives.join(
-                          ", "
-                        )} already selected</p>
+                        <p><strong>⚠️ ${
+                          violation.type === "choose"
+                            ? "Alternative Course Conflict"
+                            : "Rule Conflict"
+                        }:</strong> ${violation.message}</p>
                     </div>
-                `;
-      } else if (!isSelected) {
-        const alternatives = alternativeGroup.filter(
-          (code) => code !== course.code
-        );
-        specialInfo += `
+                `
+        )
+        .join("");
+    } else if (chooseRule && !isSelected && !isCompleted) {
+      const alternatives = chooseRule.courses.filter(
+        (code) => code !== course.code
+      );
+      specialInfo += `
                     <div class="alternative-info">
-                        <p><strong>ℹ️ Alternative Courses:</strong> ${alternatives.join(
-                          ", "
-                        )}</p>
-                        <p><small>Note: You can only select one of these alternatives</small></p>
+                        <p><strong>ℹ️ Alternative Courses (${
+                          chooseRule.name
+                        }):</strong> ${alternatives.join(", ")}</p>
+                        <p><small>Note: You can only select ${
+                          chooseRule.max === 1
+                            ? "one of these alternatives"
+                            : `${chooseRule.max} of these courses`
+                        }</small></p>
                     </div>
                 `;
-      }
     }
 
     card.innerHTML = `
             <div class="course-header">
-                <div class="course-code">${course.code}</div>
+                <div class="course-code">${this.highlightSearch(
+                  course,
+                  "code"
+                )}</div>
                 <div class="course-credits">${course.credits} cr</div>
             </div>
-            <div class="course-name">${course.name}</div>
+            <div class="course-name">${this.highlightSearch(
+              course,
+              "name"
+            )}</div>
             <div class="course-details">
                 <span class="course-type ${this.getTypeClass(course.type)}">${
-      course.type
-    }</span>
+                  course.type
+                }</span>
                 <span class="course-category ${this.getCategoryClass(
                   course.category
-                )}">${course.category}</span>
+                )}">${this.highlightSearch(course, "category")}</span>
             </div>
             ${specialInfo}
             ${prereqDisplay}
             ${coreqDisplay}
+            ${
+              isCompleted
+                ? ""
+                : `<button class="complete-button" title="Mark as completed">✓</button>`
+            }
             <button class="action-button ${
-              isSelected ? "remove-button" : "add-button"
-            }">
-                ${isSelected ? "−" : "+"}
+              isSelected || isCompleted ? "remove-button" : "add-button"
+            }" title="${isCompleted ? "Remove from completed courses" : ""}">
+                ${isCompleted ? "↺" : isSelected ? "−" : "+"}
             </button>
         `;
 
     const actionButton = card.querySelector(".action-button");
     actionButton.addEventListener("click", (e) => {
       e.stopPropagation();
-      if (isSelected) {
+      if (isCompleted) {
+        this.unmarkCourseCompleted(course.code);
+      } else if (isSelected) {
         this.removeCourse(course.code);
       } else if (isAvailable) {
         this.addCourse(course.code);
       }
     });
 
+    const sectionSelect = card.querySelector(".section-select");
+    if (sectionSelect) {
+      sectionSelect.addEventListener("click", (e) => e.stopPropagation());
+      sectionSelect.addEventListener("change", (e) => {
+        this.setCourseSection(course.code, parseInt(e.target.value));
+      });
+    }
+
+    const gradeSelect = card.querySelector(".grade-select");
+    if (gradeSelect) {
+      const termInput = card.querySelector(".term-input");
+      [gradeSelect, termInput].forEach((input) =>
+        input.addEventListener("click", (e) => e.stopPropagation())
+      );
+      gradeSelect.addEventListener("change", (e) => {
+        this.setCompletedGrade(course.code, { grade: e.target.value });
+      });
+      termInput.addEventListener("change", (e) => {
+        this.setCompletedGrade(course.code, { term: e.target.value.trim() });
+      });
+    }
+
+    const retakeCheckbox = card.querySelector(".retake-card-checkbox");
+    if (retakeCheckbox) {
+      retakeCheckbox.addEventListener("click", (e) => e.stopPropagation());
+      retakeCheckbox.addEventListener("change", (e) => {
+        this.setRetake(course.code, e.target.checked);
+      });
+    }
+
+    const completeButton = card.querySelector(".complete-button");
+    if (completeButton) {
+      completeButton.addEventListener("click", (e) => {
+        e.stopPropagation();
+        this.markCourseCompleted(course.code);
+      });
+    }
+
     if (!isSelected && isAvailable) {
       card.addEventListener("click", () => {
         this.addCourse(course.code);
       });
     }
 
-    // Add tooltip for disabled courses due to alternatives
-    if (wouldViolate && !isSelected) {
+    // Add tooltip for disabled courses due to alternatives and other rules
+    if (wouldViolate && !isSelected && !isCompleted) {
       card.title =
         "Cannot select this course because an alternative course is already selected";
+    } else if (violations.length > 0) {
+      card.title = violations[0].message;
+    } else if (missingPrerequisites.length > 0 && !isSelected) {
+      card.title = `Complete ${missingPrerequisites.join(
+        ", "
+      )} before taking this course`;
     }
 
     return card;
   }
 
+  // Courses planned but not yet taken: this semester plus the roadmap
+  getPlannedCourses() {
+    const planned = new Set(this.selectedCourses);
+    this.roadmap.forEach((semester) => {
+      semester.courses.forEach((code) => planned.add(code));
+    });
+    this.completedCourses.forEach((code) => planned.delete(code));
+    return planned;
+  }
+
+  renderDegreeAudit() {
+    if (this.rulesData.requirements.length === 0) {
+      this.degreeAuditSection.hidden = true;
+      return;
+    }
+
+    const { audit } = this.core.getProgress(this.getPlannedCourses());
+
+    this.degreeAuditSummary.textContent = `${audit.completedCredits} completed + ${audit.plannedCredits} planned / ${audit.totalCredits} credits`;
+
+    this.degreeAuditList.innerHTML = audit.requirements
+      .map((requirement) => {
+        const completedWidth = requirement.credits
+          ? Math.min(
+              (requirement.completedCredits / requirement.credits) * 100,
+              100
+            )
+          : requirement.isComplete
+            ? 100
+            : 0;
+        const plannedWidth = requirement.credits
+          ? Math.min(
+              (requirement.plannedCredits / requirement.credits) * 100,
+              100 - completedWidth
+            )
+          : requirement.isCovered && !requirement.isComplete
+            ? 100
+            : 0;
+
+        let outstanding = "";
+        if (requirement.outstandingCourses.length > 0) {
+          outstanding = `<p class="audit-outstanding">Still needed: ${requirement.outstandingCourses.join(
+            ", "
+          )}</p>`;
+        } else if (requirement.remainingCredits > 0) {
+          outstanding = `<p class="audit-outstanding">Still needed: ${requirement.remainingCredits} more credit${
+            requirement.remainingCredits !== 1 ? "s" : ""
+          }</p>`;
+        }
+
+        const status = requirement.isComplete
+          ? "✅ Complete"
+          : requirement.isCovered
+            ? "🗓 Covered by plan"
+            : "";
+
+        return `
+                <div class="audit-requirement">
+                    <p><strong>${requirement.name}:</strong>
+                    ${requirement.completedCredits} + ${
+                      requirement.plannedCredits
+                    } planned / ${requirement.credits} credits
+                    <span class="audit-status">${status}</span></p>
+                    <div class="progress-bar">
+                        <div class="progress-fill" style="width: ${completedWidth}%"></div>
+                        <div class="progress-fill planned" style="width: ${plannedWidth}%"></div>
+                    </div>
+                    ${outstanding}
+                </div>
+            `;
+      })
+      .join("");
+
+    if (audit.canGraduate) {
+      this.degreeAuditList.innerHTML += `<p class="audit-graduate">🎓 All graduation requirements are completed or planned.</p>`;
+    }
+  }
+
+  renderGraph() {
+    const graph = this.prerequisiteGraph;
+    const linked = new Set();
+    graph.edges.forEach((e) => {
+      linked.add(e.from);
+      linked.add(e.to);
+    });
+    const visibleCodes = this.graphShowIsolated
+      ? graph.nodes
+      : graph.nodes.filter((code) => linked.has(code));
+    const { positions, width, height } = layoutGraph(graph, visibleCodes);
+
+    // Highlight the focused course with its full upstream/downstream chain
+    const focus = positions.has(this.graphFocus) ? this.graphFocus : null;
+    const upstream = focus ? getChain(graph, focus, "upstream") : new Set();
+    const downstream = focus ? getChain(graph, focus, "downstream") : new Set();
+    const inChain = (code) =>
+      code === focus || upstream.has(code) || downstream.has(code);
+
+    const edgesSVG = graph.edges
+      .filter((e) => positions.has(e.from) && positions.has(e.to))
+      .map((e) => {
+        const from = positions.get(e.from);
+        const to = positions.get(e.to);
+        const highlighted =
+          focus &&
+          e.type === "prerequisite" &&
+          inChain(e.from) &&
+          inChain(e.to);
+        const dimmed = focus && !highlighted;
+        let path;
+        if (e.type === "corequisite") {
+          // Corequisites sit in the same column: bow the link out to the right
+          const x = from.x + NODE_WIDTH;
+          path = `M ${x} ${from.y + NODE_HEIGHT / 2} C ${x + 30} ${
+            from.y + NODE_HEIGHT / 2
+          }, ${x + 30} ${to.y + NODE_HEIGHT / 2}, ${x} ${to.y + NODE_HEIGHT / 2}`;
+        } else {
+          const x1 = from.x + NODE_WIDTH;
+          const y1 = from.y + NODE_HEIGHT / 2;
+          const x2 = to.x;
+          const y2 = to.y + NODE_HEIGHT / 2;
+          const bend = (x2 - x1) / 2;
+          path = `M ${x1} ${y1} C ${x1 + bend} ${y1}, ${x2 - bend} ${y2}, ${x2} ${y2}`;
+        }
+        return `<path class="graph-edge ${e.type} ${
+          highlighted ? "highlighted" : ""
+        } ${dimmed ? "dimmed" : ""}" d="${path}" ${
+          e.type === "prerequisite" ? 'marker-end="url(#graphArrow)"' : ""
+        }></path>`;
+      })
+      .join("");
+
+    const nodesSVG = visibleCodes
+      .map((code) => {
+        const course = this.courses.find((c) => c.code === code);
+        const { x, y } = positions.get(code);
+        let state = "available";
+        if (this.completedCourses.has(code)) {
+          state = "completed";
+        } else if (this.selectedCourses.has(code)) {
+          state = "selected";
+        } else if (this.core.getMissingPrerequisites(course).length > 0) {
+          state = "blocked";
+        }
+        const classes = [
+          "graph-node",
+          this.getCategoryClass(course.category),
+          state,
+          code === focus ? "focused" : "",
+          focus && !inChain(code) ? "dimmed" : "",
+        ].join(" ");
+        const prerequisites = course.prerequisites || [];
+        return `
+                <g class="${classes}" data-code="${code}" transform="translate(${x}, ${y})">
+                    <title>${course.name} (${course.category})${
+                      prerequisites.length > 0
+                        ? ` — Prerequisites: ${prerequisites.join(", ")}`
+                        : ""
+                    }</title>
+                    <rect width="${NODE_WIDTH}" height="${NODE_HEIGHT}" rx="10"></rect>
+                    <text x="${NODE_WIDTH / 2}" y="${
+                      NODE_HEIGHT / 2
+                    }" dominant-baseline="central" text-anchor="middle">${
+                      state === "completed"
+                        ? "✓ "
+                        : state === "blocked"
+                          ? "🔒 "
+                          : ""
+                    }${code}</text>
+                </g>
+            `;
+      })
+      .join("");
+
+    this.graphContainer.innerHTML = `
+            <svg class="prerequisite-graph" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+                <defs>
+                    <marker id="graphArrow" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="6" markerHeight="6" orient="auto-start-reverse">
+                        <path d="M 0 0 L 10 5 L 0 10 z"></path>
+                    </marker>
+                </defs>
+                ${edgesSVG}
+                ${nodesSVG}
+            </svg>
+        `;
+
+    if (focus) {
+      const course = this.courses.find((c) => c.code === focus);
+      const list = (codes) =>
+        codes.size > 0 ? Array.from(codes).sort().join(", ") : "None";
+      this.graphInfo.innerHTML = `
+                <p><strong>${course.code}</strong> — ${course.name}</p>
+                <p><strong>Requires (upstream):</strong> ${list(upstream)}</p>
+                <p><strong>Unlocks (downstream):</strong> ${list(downstream)}</p>
+            `;
+    } else {
+      this.graphInfo.innerHTML =
+        "<p>Click a course to see everything it requires and everything it unlocks.</p>";
+    }
+  }
+
+  renderRoadmap() {
+    this.roadmapList.innerHTML = "";
+
+    // Offer every trail in the catalog to the plan generator
+    if (this.generatorTrailSelect.options.length <= 1) {
+      const trails = [
+        ...new Set(
+          this.courses
+            .map((course) => course.category)
+            .filter((category) => isTrailCourse(this.trailRule, { category }))
+        ),
+      ].sort();
+      trails.forEach((trail) => {
+        const option = document.createElement("option");
+        option.value = trail;
+        option.textContent = trail;
+        this.generatorTrailSelect.appendChild(option);
+      });
+    }
+
+    if (this.roadmap.length === 0) {
+      this.roadmapList.innerHTML = `
+                <div class="roadmap-empty">
+                    <p>No semesters planned yet. Add a semester to start building your roadmap.</p>
+                </div>
+            `;
+    }
+
+    this.semesterNameInput.placeholder = `e.g. ${this.getNextSemesterName(
+      this.roadmap.length > 0 ? this.roadmap[this.roadmap.length - 1].name : ""
+    )}`;
+
+    this.roadmap.forEach((semester, semesterIndex) => {
+      const completedBefore = this.getCompletedBeforeSemester(semesterIndex);
+      const semesterCredits = this.getSemesterCredits(semester);
+
+      const coursesHTML = semester.courses
+        .map((code) => this.courses.find((c) => c.code === code))
+        .filter(Boolean)
+        .map((course) => {
+          // Earlier semesters may have changed since this course was placed
+          const missing = this.core.getMissingPrerequisites(
+            course,
+            completedBefore
+          );
+          return `
+                <li class="roadmap-course ${missing.length > 0 ? "invalid" : ""}"
+                    title="${
+                      missing.length > 0
+                        ? `Missing prerequisites: ${missing.join(", ")}`
+                        : course.name
+                    }">
+                    <span class="course-category ${this.getCategoryClass(
+                      course.category
+                    )}">${course.code}</span>
+                    <span class="roadmap-course-name">${course.name}</span>
+                    <span class="roadmap-course-credits">${course.credits} cr</span>
+                    ${
+                      missing.length > 0
+                        ? `<span class="warning">🔒 ${missing.join(", ")}</span>`
+                        : ""
+                    }
+                    ${
+                      semester.reasons[course.code]
+                        ? `<span class="roadmap-course-reason">${
+                            semester.reasons[course.code]
+                          }</span>`
+                        : ""
+                    }
+                    <button class="roadmap-remove" data-code="${
+                      course.code
+                    }" title="Remove from semester">×</button>
+                </li>
+            `;
+        })
+        .join("");
+
+      const optionsHTML = this.courses
+        .filter((course) =>
+          this.isCourseAvailableInSemester(course, semesterIndex)
+        )
+        .map(
+          (course) =>
+            `<option value="${course.code}">${course.code} — ${course.name} (${course.credits} cr)</option>`
+        )
+        .join("");
+
+      const panel = document.createElement("div");
+      panel.className = "roadmap-semester";
+      panel.innerHTML = `
+                <div class="roadmap-semester-header">
+                    <h3>${semester.name}</h3>
+                    <button class="roadmap-remove-semester" title="Delete semester">🗑</button>
+                </div>
+                <div class="roadmap-limits">
+                    <label>Max Credits <input type="number" class="roadmap-max-credits" min="1" step="0.5" value="${
+                      semester.maxCredits
+                    }"></label>
+                    <label>Max Courses <input type="number" class="roadmap-max-courses" min="1" value="${
+                      semester.maxCourses
+                    }"></label>
+                </div>
+                <p class="roadmap-summary ${
+                  semesterCredits > semester.maxCredits ? "warning" : ""
+                }">${semesterCredits}/${semester.maxCredits} credits • ${
+                  semester.courses.length
+                }/${semester.maxCourses} courses</p>
+                <ul class="roadmap-courses">${coursesHTML}</ul>
+                <select class="filter-dropdown roadmap-add-course" ${
+                  optionsHTML ? "" : "disabled"
+                }>
+                    <option value="">${
+                      optionsHTML ? "+ Add a course…" : "No eligible courses"
+                    }</option>
+                    ${optionsHTML}
+                </select>
+            `;
+
+      panel
+        .querySelector(".roadmap-remove-semester")
+        .addEventListener("click", () => {
+          this.removeRoadmapSemester(semester.id);
+        });
+
+      panel.querySelectorAll(".roadmap-remove").forEach((button) => {
+        button.addEventListener("click", () => {
+          this.removeCourseFromSemester(semester.id, button.dataset.code);
+        });
+      });
+
+      const creditsInput = panel.querySelector(".roadmap-max-credits");
+      const coursesInput = panel.querySelector(".roadmap-max-courses");
+      [creditsInput, coursesInput].forEach((input) => {
+        input.addEventListener("change", () => {
+          this.updateRoadmapSemesterLimits(
+            semester.id,
+            creditsInput.value,
+            coursesInput.value
+          );
+        });
+      });
+
+      panel
+        .querySelector(".roadmap-add-course")
+        .addEventListener("change", (e) => {
+          if (e.target.value) {
+            this.addCourseToSemester(semester.id, e.target.value);
+          }
+        });
+
+      this.roadmapList.appendChild(panel);
+    });
+
+    this.renderDegreeAudit();
+  }
+
+  renderTimetable() {
+    const chosen = this.core.getChosenSections();
+    this.timetableSemesterElement.textContent =
+      this.sectionsData.semester || "No section data";
+
+    const hasDates = hasSemesterDates(this.sectionsData);
+    this.exportCalendarButton.disabled = !hasDates || chosen.length === 0;
+    if (!hasDates) {
+      this.exportCalendarButton.title =
+        "The section data has no semester start and end dates";
+    } else {
+      const format = (date) =>
+        new Date(`${date}T00:00:00Z`).toLocaleDateString(undefined, {
+          day: "numeric",
+          month: "short",
+          year: "numeric",
+          timeZone: "UTC",
+        });
+      const holidays = (this.sectionsData.holidays || []).length;
+      this.exportCalendarButton.title = `Download weekly class events from ${format(
+        this.sectionsData.startDate
+      )} to ${format(this.sectionsData.endDate)}${
+        holidays > 0
+          ? `, skipping ${holidays} holiday${holidays !== 1 ? "s" : ""}`
+          : ""
+      }`;
+    }
+
+    if (this.selectedCourses.size === 0) {
+      this.timetableElement.innerHTML =
+        '<p class="timetable-empty">Select courses to see your weekly timetable.</p>';
+      return;
+    }
+
+    // 10-minute rows between the earliest start and the latest end
+    const ROW_MINUTES = 10;
+    const dayStart = Math.min(
+      toMinutes("08:00"),
+      ...chosen.map((entry) => toMinutes(entry.section.start))
+    );
+    const dayEnd = Math.max(
+      toMinutes("18:00"),
+      ...chosen.map((entry) => toMinutes(entry.section.end))
+    );
+    const rowOf = (minutes) =>
+      Math.round((minutes - dayStart) / ROW_MINUTES) + 2;
+    const days = DAY_ORDER.filter(
+      (day) =>
+        day !== "F" || chosen.some((entry) => entry.section.days.includes("F"))
+    );
+
+    let cells = `<div class="timetable-corner"></div>`;
+    days.forEach((day, index) => {
+      cells += `<div class="timetable-day" style="grid-column: ${
+        index + 2
+      }">${DAY_NAMES[day]}</div>`;
+    });
+    for (let hour = Math.ceil(dayStart / 60); hour * 60 < dayEnd; hour++) {
+      cells += `<div class="timetable-time" style="grid-row: ${rowOf(
+        hour * 60
+      )}">${String(hour).padStart(2, "0")}:00</div>`;
+    }
+
+    chosen.forEach(({ code, section }) => {
+      const course = this.courses.find((c) => c.code === code);
+      const clashes = getClashingCourses(
+        section,
+        chosen.filter((entry) => entry.code !== code)
+      );
+      section.days.split("").forEach((day) => {
+        const column = days.indexOf(day);
+        if (column === -1) return;
+        cells += `
+                <div class="timetable-block ${this.getCategoryClass(
+                  course.category
+                )} ${clashes.length > 0 ? "clash" : ""}"
+                    style="grid-column: ${column + 2}; grid-row: ${rowOf(
+                      toMinutes(section.start)
+                    )} / ${rowOf(toMinutes(section.end))}"
+                    title="${course.name} • ${section.faculty} • ${section.room}${
+                      clashes.length > 0
+                        ? ` • Clashes with ${clashes.join(", ")}`
+                        : ""
+                    }">
+                    <strong>${code}.${section.section}</strong>
+                    <span>${section.start}–${section.end}</span>
+                    <span>${section.room}</span>
+                </div>
+            `;
+      });
+    });
+
+    const unscheduled = Array.from(this.selectedCourses).filter(
+      (code) => !chosen.some((entry) => entry.code === code)
+    );
+
+    this.timetableElement.innerHTML = `
+            <div class="timetable-grid" style="grid-template-columns: 60px repeat(${
+              days.length
+            }, 1fr); grid-template-rows: 30px repeat(${Math.ceil(
+              (dayEnd - dayStart) / ROW_MINUTES
+            )}, 8px)">${cells}</div>
+            ${
+              unscheduled.length > 0
+                ? `<p class="timetable-empty">No section times for: ${unscheduled.join(
+                    ", "
+                  )}</p>`
+                : ""
+            }
+        `;
+  }
+
+  // Facet checkboxes generated from the catalog, with live counts
+  renderFilters(courses) {
+    const counts = getFacetCounts(
+      this.courses,
+      courses,
+      this.filters,
+      this.getFilterHelpers()
+    );
+    const labels = {
+      types: (value) => (value === "lab" ? "Lab" : "Theory"),
+      credits: (value) => `${value} cr`,
+    };
+
+    const chip = (facet, value, label, count) => {
+      const checked = this.filters[facet].includes(value);
+      return `
+                <label class="facet-chip${checked ? " active" : ""}${
+                  count === 0 && !checked ? " empty" : ""
+                }">
+                    <input type="checkbox" data-facet="${facet}" value="${value}"${
+                      checked ? " checked" : ""
+                    }>
+                    ${label} <span class="facet-count">${count}</span>
+                </label>
+            `;
+    };
+    const group = (facet, title) => `
+            <div class="facet-group">
+                <span class="facet-title">${title}</span>
+                ${counts[facet]
+                  .map(({ value, count }) =>
+                    chip(
+                      facet,
+                      value,
+                      labels[facet] ? labels[facet](value) : value,
+                      count
+                    )
+                  )
+                  .join("")}
+            </div>
+        `;
+
+    this.courseFiltersElement.innerHTML = `
+            ${group("categories", "Category")}
+            ${group("types", "Type")}
+            ${group("credits", "Credits")}
+            <div class="facet-group">
+                <span class="facet-title">Show</span>
+                <label class="facet-chip${
+                  this.filters.prerequisitesMet ? " active" : ""
+                }">
+                    <input type="checkbox" data-facet="prerequisitesMet"${
+                      this.filters.prerequisitesMet ? " checked" : ""
+                    }>
+                    No unmet prerequisites <span class="facet-count">${
+                      counts.prerequisitesMet
+                    }</span>
+                </label>
+                <label class="facet-chip${
+                  this.filters.sortByUnlocks ? " active" : ""
+                }">
+                    <input type="checkbox" data-facet="sortByUnlocks"${
+                      this.filters.sortByUnlocks ? " checked" : ""
+                    }>
+                    Unlocks the most courses first
+                </label>
+                ${
+                  hasActiveFilters(this.filters)
+                    ? `<button type="button" class="facet-clear">Clear filters</button>`
+                    : ""
+                }
+            </div>
+        `;
+  }
+
   renderCourses() {
     const searchTerm = this.searchInput.value.trim();
 
@@ -702,35 +3873,61 @@ class CoursePlanner {
       .map((code) => this.courses.find((c) => c.code === code))
       .filter(Boolean);
 
-    const filteredSelected = this.filterCourses(
-      selectedCoursesArray,
-      searchTerm,
-      "",
-      ""
+    const filteredSelected = this.rankBySearch(
+      selectedCoursesArray.filter((course) =>
+        this.matchesSearchTerm(course, searchTerm)
+      ),
+      searchTerm
     );
     this.selectedCoursesList.innerHTML = "";
     filteredSelected.forEach((course) => {
       this.selectedCoursesList.appendChild(this.createCourseCard(course, true));
     });
 
+    // Render completed courses
+    const filteredCompleted = this.rankBySearch(
+      this.courses.filter(
+        (course) =>
+          this.completedCourses.has(course.code) &&
+          this.matchesSearchTerm(course, searchTerm)
+      ),
+      searchTerm
+    );
+    this.completedCoursesList.innerHTML = "";
+    filteredCompleted.forEach((course) => {
+      this.completedCoursesList.appendChild(
+        this.createCourseCard(course, false, true)
+      );
+    });
+    this.completedCountElement.textContent = `${
+      this.completedCourses.size
+    } course${this.completedCourses.size !== 1 ? "s" : ""}`;
+
     // Render available courses
     const availableCourses = this.courses.filter(
-      (course) => !this.selectedCourses.has(course.code)
+      (course) =>
+        !this.selectedCourses.has(course.code) &&
+        !this.completedCourses.has(course.code)
     );
 
-    const filteredAvailable = this.filterCourses(
-      availableCourses,
-      searchTerm,
-      this.categoryFilter,
-      this.typeFilter
+    // Search ranking wins over catalog order, unless sorting by unlocks
+    const searchMatches = this.rankBySearch(
+      this.filterCourses(availableCourses, searchTerm),
+      searchTerm
+    );
+    this.renderFilters(searchMatches);
+    const filteredAvailable = applyFilters(
+      searchMatches,
+      this.filters,
+      this.getFilterHelpers()
     );
     this.availableCoursesList.innerHTML = "";
 
-    // Add elective trail info if any trail courses are selected
-    const selectedElectiveTrails = this.getSelectedElectiveTrails();
-    if (selectedElectiveTrails.trailCourses.length > 0) {
+    // Add elective trail and credit-cap progress from the curriculum rules
+    const ruleProgressHTML = this.createElectiveTrailInfo();
+    if (ruleProgressHTML) {
       const trailInfo = document.createElement("div");
-      trailInfo.innerHTML = this.createElectiveTrailInfo();
+      trailInfo.innerHTML = ruleProgressHTML;
       this.availableCoursesList.appendChild(trailInfo);
     }
 
@@ -739,21 +3936,102 @@ class CoursePlanner {
         this.createCourseCard(course, false)
       );
     });
+
+    this.renderTimetable();
+
+    // Keep the roadmap and graph in sync with transcript changes
+    if (this.viewMode === "roadmap") {
+      this.renderRoadmap();
+    } else if (this.viewMode === "graph") {
+      this.renderGraph();
+      this.renderDegreeAudit();
+    } else {
+      this.renderDegreeAudit();
+    }
   }
 }
 
+// Cache the app and course data for offline use (see public/sw.js). The
+// worker reports course data that changed since it was cached.
+function registerServiceWorker() {
+  if (!("serviceWorker" in navigator)) return;
+  // The dev server's modules change on every edit; only cache a real build
+  if (import.meta.env && import.meta.env.DEV) return;
+
+  const banner = document.getElementById("updateBanner");
+  banner.querySelector(".update-reload").addEventListener("click", () => {
+    location.reload();
+  });
+  banner.querySelector(".update-dismiss").addEventListener("click", () => {
+    banner.hidden = true;
+  });
+  navigator.serviceWorker.addEventListener("message", (event) => {
+    // The page may have been replaced by an error message by now
+    if (
+      event.data &&
+      event.data.type === "data-updated" &&
+      banner.isConnected
+    ) {
+      banner.hidden = false;
+    }
+  });
+  navigator.serviceWorker.register("./sw.js").catch((error) => {
+    console.error("Error registering service worker:", error);
+  });
+}
+
 // Initialize the app when DOM is loaded
 document.addEventListener("DOMContentLoaded", async () => {
-  const coursesData = await loadCoursesData();
-  if (coursesData && coursesData.length > 0) {
-    new CoursePlanner(coursesData);
+  // Bring data saved by older releases up to date before anything reads it
+  try {
+    migrateStorage(localStorage);
+  } catch (error) {
+    console.error("Error migrating saved data:", error);
+  }
+  registerServiceWorker();
+
+  const manifest = await loadCatalogManifest();
+  // The catalog is remembered per browser; new users get the one for their
+  // admission year
+  const catalog = selectCatalog(
+    manifest,
+    localStorage.getItem("catalog"),
+    localStorage.getItem("admissionYear")
+  );
+  const catalogData = catalog
+    ? await loadCatalogData(catalog)
+    : { courses: [] };
+  // A broken catalog would silently break the planner; refuse to start
+  const catalogErrors =
+    catalogData.courses && catalogData.courses.length > 0
+      ? checkCatalogData(catalog, catalogData)
+      : [];
+  if (catalogErrors.length > 0) {
+    console.error("Course catalog failed validation", catalogErrors);
+    document.body.innerHTML = `
+            <div style="text-align: center; padding: 50px; font-family: Arial, sans-serif;">
+                <h1>Course Catalog Has Errors</h1>
+                <p>The ${catalog.name} catalog cannot be used until these problems are fixed:</p>
+                <ul style="display: inline-block; text-align: left;">
+                    ${catalogErrors
+                      .map((problem) => `<li>${problem.message}</li>`)
+                      .join("")}
+                </ul>
+            </div>
+        `;
+  } else if (catalogData.courses && catalogData.courses.length > 0) {
+    new CoursePlanner(catalogData, manifest, catalog);
   } else {
     console.error("Failed to load course data");
     // Show error message to user
     document.body.innerHTML = `
             <div style="text-align: center; padding: 50px; font-family: Arial, sans-serif;">
                 <h1>Error Loading Course Data</h1>
-                <p>Unable to load course information. Please check your internet connection and try again.</p>
+                <p>${
+                  navigator.onLine
+                    ? "Unable to load course information. Please check your internet connection and try again."
+                    : "You are offline and the course data has not been saved on this device yet. Open the planner once while online to use it offline."
+                }</p>
             </div>
         `;
   }
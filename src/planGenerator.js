@@ -0,0 +1,364 @@
+// Generates a semester-by-semester plan that finishes the degree requirements
+// in as few semesters as possible.
+//
+// Scheduling uses critical-path list scheduling: every term, the courses
+// whose prerequisites are already satisfied are ranked by the length of the
+// prerequisite chain that still hangs off them, and the longest chains are
+// placed first until the term's credit/course limits are reached.
+
+// Categories whose courses are all required (after resolving alternatives)
+export const REQUIRED_CATEGORIES = [
+  "CSE Core",
+  "SEPS Core",
+  "University Core",
+  "CSE Major Capstone Design",
+  "Internship / Co-op",
+  "Open Elective",
+];
+
+// Specialized electives default to 2 courses from one trail + 1 course from
+// any trail; a trail rule from rules.json overrides the counts and categories
+const DEFAULT_TRAIL_RULE = {
+  categories: null,
+  primaryCount: 2,
+  extraCount: 1,
+};
+
+const isTrailCategory = (trailRule, category) =>
+  trailRule.categories
+    ? trailRule.categories.includes(category)
+    : category.includes("Trail");
+
+// Pick the trail to specialise in: the given one, or the trail with the most
+// completed courses (ties broken alphabetically)
+function chooseTrail(courses, completed, preferredTrail, trailRule) {
+  const trails = [
+    ...new Set(
+      courses
+        .map((c) => c.category)
+        .filter((category) => isTrailCategory(trailRule, category))
+    ),
+  ].sort();
+  if (preferredTrail && trails.includes(preferredTrail)) return preferredTrail;
+
+  let bestTrail = trails[0] || null;
+  let bestCount = -1;
+  trails.forEach((trail) => {
+    const count = courses.filter(
+      (c) => c.category === trail && completed.has(c.code)
+    ).length;
+    if (count > bestCount) {
+      bestTrail = trail;
+      bestCount = count;
+    }
+  });
+  return bestTrail;
+}
+
+// Work out which course codes the student has to pass to graduate
+export function getRequiredCourses(courses, options) {
+  const {
+    completed,
+    alternativeGroups = [],
+    trail,
+    trailRule = DEFAULT_TRAIL_RULE,
+  } = options;
+  const required = new Set(
+    courses
+      .filter((c) => REQUIRED_CATEGORIES.includes(c.category))
+      .map((c) => c.code)
+  );
+
+  // Only one course from each alternative group is needed; keep a completed
+  // one if there is one, otherwise the first listed alternative
+  alternativeGroups.forEach((group) => {
+    const keep = group.find((code) => completed.has(code)) || group[0];
+    group.forEach((code) => {
+      if (code !== keep) required.delete(code);
+    });
+  });
+
+  // Specialized electives from the chosen trail, completed ones first
+  const chosenTrail = chooseTrail(courses, completed, trail, trailRule);
+  const byCompletedFirst = (a, b) =>
+    Number(completed.has(b.code)) - Number(completed.has(a.code));
+  const trailCourses = courses
+    .filter((c) => c.category === chosenTrail)
+    .sort(byCompletedFirst);
+  const otherTrailCourses = courses
+    .filter(
+      (c) =>
+        isTrailCategory(trailRule, c.category) && c.category !== chosenTrail
+    )
+    .sort(byCompletedFirst);
+
+  trailCourses
+    .slice(0, trailRule.primaryCount)
+    .forEach((c) => required.add(c.code));
+
+  // The extra elective may come from any trail: use a completed one from
+  // another trail if available, otherwise stay in the chosen trail
+  const extraPool = [
+    ...otherTrailCourses.filter((c) => completed.has(c.code)),
+    ...trailCourses.slice(trailRule.primaryCount),
+    ...otherTrailCourses,
+  ];
+  extraPool.slice(0, trailRule.extraCount).forEach((c) => required.add(c.code));
+
+  return { required, trail: chosenTrail };
+}
+
+// Group required courses that must be taken together (corequisites)
+function buildUnits(codes, courseMap) {
+  const units = [];
+  const unitOf = new Map();
+
+  codes.forEach((code) => {
+    if (unitOf.has(code)) return;
+    const unit = [];
+    const stack = [code];
+    while (stack.length > 0) {
+      const current = stack.pop();
+      if (unitOf.has(current) || !codes.has(current)) continue;
+      unitOf.set(current, unit);
+      unit.push(current);
+      (courseMap.get(current).corequisites || []).forEach((coreq) =>
+        stack.push(coreq)
+      );
+      // Corequisite links are not always listed on both sides
+      codes.forEach((other) => {
+        const otherCourse = courseMap.get(other);
+        if ((otherCourse.corequisites || []).includes(current)) {
+          stack.push(other);
+        }
+      });
+    }
+    units.push(unit);
+  });
+
+  return { units, unitOf };
+}
+
+// Length of the longest chain of required courses that depends on each unit
+function computeChainLengths(units, unitOf, courseMap) {
+  const dependents = new Map(units.map((unit) => [unit, new Set()]));
+  units.forEach((unit) => {
+    unit.forEach((code) => {
+      (courseMap.get(code).prerequisites || []).forEach((prereq) => {
+        const prereqUnit = unitOf.get(prereq);
+        if (prereqUnit && prereqUnit !== unit) {
+          dependents.get(prereqUnit).add(unit);
+        }
+      });
+    });
+  });
+
+  const lengths = new Map();
+  const visiting = new Set();
+  const lengthOf = (unit) => {
+    if (lengths.has(unit)) return lengths.get(unit);
+    // Guard against prerequisite cycles in the catalog
+    if (visiting.has(unit)) return 0;
+    visiting.add(unit);
+    let longest = 0;
+    dependents.get(unit).forEach((dependent) => {
+      longest = Math.max(longest, lengthOf(dependent));
+    });
+    visiting.delete(unit);
+    lengths.set(unit, longest + 1);
+    return longest + 1;
+  };
+  units.forEach((unit) => lengthOf(unit));
+
+  return { lengths, dependents };
+}
+
+// Generate the plan.
+//
+// options:
+//   completed               Set of completed course codes
+//   alternativeGroups       arrays of mutually exclusive course codes
+//   trail                   preferred specialized elective trail (optional)
+//   trailRule               trail rule from rules.json (optional)
+//   maxCredits, maxCourses  per-semester limits
+//   firstSemesterName       name of the first planned semester
+//   getNextSemesterName     (name) => name of the following semester
+//   getMissingPrerequisites (course, completedSet) => unmet prerequisites
+//   getCreditRequirement    (prerequisite) => credits required, or null
+//   getEarnedCredits        (completedSet) => credits earned
+export function generateGraduationPlan(courses, options) {
+  const {
+    completed,
+    maxCredits,
+    maxCourses,
+    firstSemesterName,
+    getNextSemesterName,
+    getMissingPrerequisites,
+    getCreditRequirement,
+    getEarnedCredits,
+  } = options;
+  const courseMap = new Map(courses.map((c) => [c.code, c]));
+
+  const { required, trail } = getRequiredCourses(courses, options);
+  const remaining = new Set(
+    [...required].filter((code) => !completed.has(code))
+  );
+
+  const { units, unitOf } = buildUnits(remaining, courseMap);
+  const { lengths, dependents } = computeChainLengths(units, unitOf, courseMap);
+
+  const unitCredits = (unit) =>
+    unit.reduce((total, code) => total + courseMap.get(code).credits, 0);
+
+  // Rank: longest remaining chain, then most direct dependents, then credits
+  const byPriority = (a, b) =>
+    lengths.get(b) - lengths.get(a) ||
+    dependents.get(b).size - dependents.get(a).size ||
+    unitCredits(b) - unitCredits(a) ||
+    a[0].localeCompare(b[0]);
+
+  const semesters = [];
+  const unscheduled = [];
+  const placedIn = new Map(); // code -> semester index
+  const earliestTerm = new Map(); // unit -> first term it could have been taken
+  let pending = units.slice();
+
+  // Units that can never fit a semester are reported instead of scheduled
+  pending = pending.filter((unit) => {
+    if (unitCredits(unit) > maxCredits || unit.length > maxCourses) {
+      unit.forEach((code) =>
+        unscheduled.push({
+          code,
+          reason: `Needs ${unitCredits(unit)} credits / ${unit.length} courses in one semester, more than the ${maxCredits}-credit / ${maxCourses}-course limit allows`,
+        })
+      );
+      return false;
+    }
+    return true;
+  });
+
+  let semesterName = firstSemesterName;
+  while (pending.length > 0) {
+    const termIndex = semesters.length;
+    const doneBefore = new Set(completed);
+    placedIn.forEach((_, code) => doneBefore.add(code));
+
+    const ready = pending
+      .filter((unit) =>
+        unit.every(
+          (code) =>
+            getMissingPrerequisites(courseMap.get(code), doneBefore).length ===
+            0
+        )
+      )
+      .sort(byPriority);
+    ready.forEach((unit) => {
+      if (!earliestTerm.has(unit)) earliestTerm.set(unit, termIndex);
+    });
+
+    const semester = { name: semesterName, courses: [], reasons: {} };
+    let credits = 0;
+    ready.forEach((unit) => {
+      const creditsNeeded = unitCredits(unit);
+      if (
+        credits + creditsNeeded > maxCredits ||
+        semester.courses.length + unit.length > maxCourses
+      ) {
+        return;
+      }
+      credits += creditsNeeded;
+      unit.forEach((code) => {
+        semester.courses.push(code);
+        placedIn.set(code, termIndex);
+      });
+    });
+
+    // Nothing could be placed: the rest is blocked for good
+    if (semester.courses.length === 0) break;
+
+    semesters.push(semester);
+    pending = pending.filter(
+      (unit) => !unit.some((code) => placedIn.has(code))
+    );
+    semesterName = getNextSemesterName(semesterName);
+  }
+
+  // Explain each placement
+  const earnedBefore = (termIndex) => {
+    const done = new Set(completed);
+    placedIn.forEach((index, code) => {
+      if (index < termIndex) done.add(code);
+    });
+    return getEarnedCredits(done);
+  };
+
+  semesters.forEach((semester, termIndex) => {
+    semester.courses.forEach((code) => {
+      const course = courseMap.get(code);
+      const unit = unitOf.get(code);
+      const parts = [];
+
+      const prereqNotes = (course.prerequisites || []).map((prereq) => {
+        const creditsRequired = getCreditRequirement(prereq);
+        if (creditsRequired !== null) {
+          return `${creditsRequired} credits (${earnedBefore(termIndex)} earned by then)`;
+        }
+        if (completed.has(prereq)) return `${prereq} (completed)`;
+        if (placedIn.has(prereq)) {
+          return `${prereq} (${semesters[placedIn.get(prereq)].name})`;
+        }
+        return `${prereq} (not tracked)`;
+      });
+      parts.push(
+        prereqNotes.length > 0
+          ? `Prerequisites met: ${prereqNotes.join(", ")}.`
+          : "No prerequisites."
+      );
+
+      const chain = lengths.get(unit) - 1;
+      if (chain > 0) {
+        parts.push(
+          `Unlocks a prerequisite chain ${chain} course${chain !== 1 ? "s" : ""} deep, so it is scheduled early.`
+        );
+      }
+
+      if (earliestTerm.get(unit) < termIndex) {
+        parts.push(
+          `Could start in ${semesters[earliestTerm.get(unit)].name} but was deferred by the credit/course limit.`
+        );
+      }
+
+      const partners = unit.filter((other) => other !== code);
+      if (partners.length > 0) {
+        parts.push(`Taken with corequisite ${partners.join(", ")}.`);
+      }
+
+      semester.reasons[code] = parts.join(" ");
+    });
+  });
+
+  pending.forEach((unit) => {
+    const doneBefore = new Set(completed);
+    placedIn.forEach((_, code) => doneBefore.add(code));
+    unit.forEach((code) => {
+      const missing = getMissingPrerequisites(courseMap.get(code), doneBefore);
+      unscheduled.push({
+        code,
+        reason: `Prerequisites can never be met: ${missing.join(", ")}`,
+      });
+    });
+  });
+
+  // Lower bound: the longest chain, or the credits spread over full semesters
+  const totalCredits = [...remaining].reduce(
+    (total, code) => total + courseMap.get(code).credits,
+    0
+  );
+  const lowerBound = Math.max(
+    units.length > 0 ? Math.max(...units.map((unit) => lengths.get(unit))) : 0,
+    Math.ceil(totalCredits / maxCredits),
+    Math.ceil(remaining.size / maxCourses)
+  );
+
+  return { semesters, unscheduled, trail, totalCredits, lowerBound };
+}
@@ -0,0 +1,176 @@
+// Export/import of the full planner state and compact share links.
+//
+// Exported files hold the readable state; share links hold the same state in
+// a compact array form, JSON-encoded and then base64url-encoded into the URL
+// hash (#plan=...).
+
+export const PLAN_FILE_VERSION = 1;
+
+const toBase64Url = (text) => {
+  const bytes = new TextEncoder().encode(text);
+  let binary = "";
+  bytes.forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary)
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+};
+
+const fromBase64Url = (encoded) => {
+  const base64 = encoded.replace(/-/g, "+").replace(/_/g, "/");
+  const binary = atob(base64 + "=".repeat((4 - (base64.length % 4)) % 4));
+  const bytes = Uint8Array.from(binary, (char) => char.charCodeAt(0));
+  return new TextDecoder().decode(bytes);
+};
+
+// Check an imported state against the catalog. Unknown course codes are
+// dropped with a warning; a state with the wrong shape is rejected.
+export function validatePlanState(raw, courseCodes) {
+  const errors = [];
+  const warnings = [];
+  const known = new Set(courseCodes);
+
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    return {
+      state: null,
+      errors: ["The file does not contain a plan."],
+      warnings,
+    };
+  }
+  if (raw.version !== undefined && raw.version > PLAN_FILE_VERSION) {
+    errors.push(
+      `The plan was saved by a newer version of the planner (v${raw.version}).`
+    );
+  }
+
+  const codeList = (value, label) => {
+    if (value === undefined) return [];
+    if (!Array.isArray(value)) {
+      errors.push(`"${label}" must be a list of course codes.`);
+      return [];
+    }
+    const unknown = value.filter((code) => !known.has(code));
+    if (unknown.length > 0) {
+      warnings.push(
+        `Ignored unknown course${
+          unknown.length !== 1 ? "s" : ""
+        } in ${label}: ${unknown.join(", ")}`
+      );
+    }
+    return [...new Set(value.filter((code) => known.has(code)))];
+  };
+
+  const positive = (value, fallback) => {
+    const number = parseFloat(value);
+    return Number.isFinite(number) && number > 0 ? number : fallback;
+  };
+
+  const selectedCourses = codeList(raw.selectedCourses, "selected courses");
+  const completedCourses = codeList(raw.completedCourses, "completed courses");
+
+  const selectedSections = {};
+  if (raw.selectedSections && typeof raw.selectedSections === "object") {
+    Object.entries(raw.selectedSections).forEach(([code, section]) => {
+      if (selectedCourses.includes(code) && Number.isInteger(section)) {
+        selectedSections[code] = section;
+      }
+    });
+  }
+
+  const trails = raw.electiveTrailSelections || {};
+  const trailOrNull = (value) => (typeof value === "string" ? value : null);
+
+  let roadmap = [];
+  if (raw.roadmap !== undefined) {
+    if (!Array.isArray(raw.roadmap)) {
+      errors.push(`"roadmap" must be a list of semesters.`);
+    } else {
+      roadmap = raw.roadmap.map((semester, index) => ({
+        name: String((semester && semester.name) || `Semester ${index + 1}`),
+        maxCredits: positive(semester && semester.maxCredits, null),
+        maxCourses: positive(semester && semester.maxCourses, null),
+        courses: codeList(
+          semester && semester.courses,
+          `roadmap semester ${index + 1}`
+        ),
+      }));
+    }
+  }
+
+  const limits = raw.limits || {};
+
+  const state = {
+    catalog: typeof raw.catalog === "string" ? raw.catalog : null,
+    selectedCourses,
+    selectedSections,
+    completedCourses,
+    electiveTrailSelections: {
+      firstTrail: trailOrNull(trails.firstTrail),
+      thirdTrail: trailOrNull(trails.thirdTrail),
+    },
+    limits: {
+      maxCredits: positive(limits.maxCredits, null),
+      maxCourses: positive(limits.maxCourses, null),
+    },
+    roadmap,
+  };
+
+  return { state: errors.length > 0 ? null : state, errors, warnings };
+}
+
+// Compact array form used in share links
+export function encodeShareLink(state) {
+  const compact = [
+    PLAN_FILE_VERSION,
+    state.selectedCourses,
+    state.completedCourses,
+    [state.limits.maxCredits, state.limits.maxCourses],
+    [
+      state.electiveTrailSelections.firstTrail,
+      state.electiveTrailSelections.thirdTrail,
+    ],
+    state.selectedSections,
+    state.roadmap.map((semester) => [
+      semester.name,
+      semester.maxCredits,
+      semester.maxCourses,
+      semester.courses,
+    ]),
+    state.catalog,
+  ];
+  return toBase64Url(JSON.stringify(compact));
+}
+
+// Inverse of encodeShareLink; the result still needs validatePlanState
+export function decodeShareLink(encoded) {
+  const [
+    version,
+    selectedCourses,
+    completedCourses,
+    [maxCredits, maxCourses] = [],
+    [firstTrail, thirdTrail] = [],
+    selectedSections,
+    roadmap = [],
+    catalog,
+  ] = JSON.parse(fromBase64Url(encoded));
+
+  return {
+    version,
+    catalog,
+    selectedCourses,
+    completedCourses,
+    limits: { maxCredits, maxCourses },
+    electiveTrailSelections: { firstTrail, thirdTrail },
+    selectedSections,
+    roadmap: roadmap.map(
+      ([name, semesterCredits, semesterCourses, courses]) => ({
+        name,
+        maxCredits: semesterCredits,
+        maxCourses: semesterCourses,
+        courses,
+      })
+    ),
+  };
+}
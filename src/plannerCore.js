@@ -0,0 +1,525 @@
+// Headless course planner: the semester selection, the completed-courses
+// transcript, limits and cost settings, with the rules that govern them. No
+// DOM here, so it runs in Node as well as the browser. The page in main.js
+// keeps one PlannerCore, calls its methods and re-renders on its events.
+//
+// Events (see on()):
+//   change   after every change; the listener gets { type, ...details }:
+//              add         { code, added }        codes added, corequisites too
+//              remove      { code, removed, droppedCorequisites }
+//              clear       { removed }
+//              section     { code }
+//              complete    { code, completed }
+//              uncomplete  { code }
+//              transcript  { completed }      the whole transcript replaced
+//              limits, cost, state
+
+import {
+  getAlternativeGroups,
+  getChooseRule,
+  getTrailRule,
+  getTrailState,
+  isTrailCourseAllowed,
+  recommendTrails,
+  getRuleViolations,
+  getRuleProgress,
+} from "./ruleEngine.js";
+import { computeDegreeAudit } from "./degreeAudit.js";
+import { selectFeeSchedule, calculateSemesterCost } from "./fees.js";
+import {
+  getClashingCourses,
+  isLabCompatible,
+  findClashFreeSections,
+} from "./schedule.js";
+
+const CREDIT_PREREQUISITE = /^(\d+(?:\.\d+)?)\s*credits?$/i;
+
+// Credits required by a prerequisite like "60 credits", or null
+export function getCreditRequirement(prereq) {
+  const match = CREDIT_PREREQUISITE.exec(prereq.trim());
+  return match ? parseFloat(match[1]) : null;
+}
+
+export class PlannerCore {
+  // catalogData: { courses, rules, fees, sections }
+  constructor(catalogData) {
+    this.selectedCourses = new Set();
+    // Chosen section number for each selected course that has sections
+    this.selectedSections = {};
+    this.completedCourses = new Set();
+    this.maxCredits = 14;
+    this.maxCourses = 8;
+    // Fee schedules are versioned by the year the student was admitted
+    this.admissionYear = String(new Date().getFullYear());
+    // Cost adjustments: retakes, waivers/scholarships and installments
+    this.retakeCourses = new Set();
+    this.costAdjustments = {
+      waiverType: "percent",
+      waiverValue: 0,
+      retakeDiscountPercent: 0,
+      installments: 1,
+    };
+    this.listeners = {};
+
+    this.setCatalog(catalogData);
+  }
+
+  // Swap in another catalog's data. The selection is left alone; callers
+  // migrate it (see catalogs.js) and pass it to setState.
+  setCatalog(catalogData) {
+    this.courses = catalogData.courses;
+    this.rulesData = catalogData.rules;
+    this.feesData = catalogData.fees;
+    this.sectionsData = catalogData.sections;
+    this.courseMap = new Map(
+      this.courses.map((course) => [course.code, course])
+    );
+    this.alternativeGroups = getAlternativeGroups(this.rulesData);
+    this.trailRule = getTrailRule(this.rulesData);
+  }
+
+  // Subscribe to an event; returns a function that unsubscribes
+  on(event, listener) {
+    (this.listeners[event] = this.listeners[event] || []).push(listener);
+    return () => {
+      this.listeners[event] = this.listeners[event].filter(
+        (l) => l !== listener
+      );
+    };
+  }
+
+  emit(event, detail) {
+    (this.listeners[event] || []).forEach((listener) => listener(detail));
+  }
+
+  getCourse(courseCode) {
+    return this.courseMap.get(courseCode) || null;
+  }
+
+  getSelectedCourses() {
+    return Array.from(this.selectedCourses)
+      .map((code) => this.getCourse(code))
+      .filter(Boolean);
+  }
+
+  getSelectedCredits() {
+    return this.getSelectedCourses().reduce(
+      (total, course) => total + course.credits,
+      0
+    );
+  }
+
+  getSelectedCourseCount() {
+    return this.selectedCourses.size;
+  }
+
+  getTaken() {
+    return new Set([...this.selectedCourses, ...this.completedCourses]);
+  }
+
+  getEarnedCredits(completed = this.completedCourses) {
+    let total = 0;
+    completed.forEach((code) => {
+      const course = this.getCourse(code);
+      if (course) total += course.credits;
+    });
+    return total;
+  }
+
+  // Corequisites that are in the catalog. The validator rejects catalogs
+  // with unknown ones; this keeps them out of the selection regardless.
+  getCorequisites(course) {
+    return (course.corequisites || []).filter((code) =>
+      this.courseMap.has(code)
+    );
+  }
+
+  // Prerequisites not yet met by a transcript; codes outside the catalog are
+  // ignored
+  getMissingPrerequisites(course, completed = this.completedCourses) {
+    if (!course.prerequisites) return [];
+    const earnedCredits = this.getEarnedCredits(completed);
+    return course.prerequisites.filter((prereq) => {
+      const requiredCredits = getCreditRequirement(prereq);
+      if (requiredCredits !== null) return earnedCredits < requiredCredits;
+      return this.courseMap.has(prereq) && !completed.has(prereq);
+    });
+  }
+
+  // Curriculum rules the course would break if it were added now
+  getRuleViolations(course) {
+    return getRuleViolations(this.rulesData, course, {
+      courses: this.courses,
+      taken: this.getTaken(),
+    });
+  }
+
+  wouldViolateAlternatives(courseCode) {
+    const course = this.getCourse(courseCode);
+    if (!course) return false;
+    return this.getRuleViolations(course).some(
+      (violation) => violation.type === "choose"
+    );
+  }
+
+  getAlternativeGroup(courseCode) {
+    const rule = getChooseRule(this.rulesData, courseCode);
+    return rule ? rule.courses : [];
+  }
+
+  // Trail state derived from the selected and completed courses
+  getTrailState() {
+    const taken = this.getTaken();
+    return getTrailState(
+      this.trailRule,
+      this.courses.filter((c) => taken.has(c.code)),
+      this.completedCourses
+    );
+  }
+
+  // Until the first trail is complete only its courses are offered; the
+  // extra elective can then come from any trail
+  isTrailCourseAllowed(course) {
+    return isTrailCourseAllowed(this.trailRule, this.getTrailState(), course);
+  }
+
+  getTrailRecommendations() {
+    return recommendTrails(this.trailRule, this.courses, {
+      taken: this.getTaken(),
+      getMissingPrerequisites: (course) => this.getMissingPrerequisites(course),
+    });
+  }
+
+  getSections(courseCode) {
+    return this.sectionsData.sections[courseCode] || [];
+  }
+
+  getSelectedSection(courseCode) {
+    return this.getSections(courseCode).find(
+      (section) => section.section === this.selectedSections[courseCode]
+    );
+  }
+
+  getChosenSections(excludeCodes = []) {
+    return Array.from(this.selectedCourses)
+      .filter((code) => !excludeCodes.includes(code))
+      .map((code) => ({ code, section: this.getSelectedSection(code) }))
+      .filter((entry) => entry.section);
+  }
+
+  // Clash-free sections for a course and the corequisites it would bring
+  // along, or null if there are none
+  findSectionsForCourse(course) {
+    const codes = [course.code, ...this.getCorequisites(course)].filter(
+      (code) =>
+        !this.selectedCourses.has(code) && !this.completedCourses.has(code)
+    );
+    return findClashFreeSections(
+      codes,
+      this.sectionsData.sections,
+      this.courses,
+      this.getChosenSections()
+    );
+  }
+
+  isCourseAvailable(course) {
+    // Check if course is already selected or completed
+    if (this.selectedCourses.has(course.code)) return false;
+    if (this.completedCourses.has(course.code)) return false;
+
+    // Check prerequisites against the completed-courses transcript
+    if (this.getMissingPrerequisites(course).length > 0) return false;
+
+    // Check credit and course count limits
+    if (this.getSelectedCredits() + course.credits > this.maxCredits) {
+      return false;
+    }
+    if (this.getSelectedCourseCount() + 1 > this.maxCourses) return false;
+
+    // Check alternative groups, credit caps and other curriculum rules
+    if (this.getRuleViolations(course).length > 0) return false;
+
+    // Check that some section (paired with its lab) fits the timetable
+    if (!this.findSectionsForCourse(course)) return false;
+
+    return true;
+  }
+
+  // Add a course with its corequisites and clash-free sections. Returns the
+  // codes added, or null for an unknown course.
+  addCourse(courseCode) {
+    const course = this.getCourse(courseCode);
+    if (!course) return null;
+
+    // Pick clash-free sections before the course joins the selection
+    Object.assign(this.selectedSections, this.findSectionsForCourse(course));
+
+    const added = [courseCode, ...this.getCorequisites(course)].filter(
+      (code) => !this.selectedCourses.has(code)
+    );
+    added.forEach((code) => this.selectedCourses.add(code));
+    this.emit("change", { type: "add", code: courseCode, added });
+    return added;
+  }
+
+  // Remove a course, and the corequisites no other selected course needs.
+  // Returns { removed, droppedCorequisites }, or null for an unknown course.
+  removeCourse(courseCode) {
+    const course = this.getCourse(courseCode);
+    if (!course) return null;
+
+    const droppedCorequisites = (course.corequisites || []).filter(
+      (coreq) =>
+        this.selectedCourses.has(coreq) &&
+        !Array.from(this.selectedCourses).some((code) => {
+          if (code === courseCode) return false;
+          const other = this.getCourse(code);
+          return other && (other.corequisites || []).includes(coreq);
+        })
+    );
+    const removed = this.selectedCourses.has(courseCode)
+      ? [courseCode, ...droppedCorequisites]
+      : droppedCorequisites;
+    removed.forEach((code) => {
+      this.selectedCourses.delete(code);
+      delete this.selectedSections[code];
+    });
+    this.emit("change", {
+      type: "remove",
+      code: courseCode,
+      removed,
+      droppedCorequisites,
+    });
+    return { removed, droppedCorequisites };
+  }
+
+  clearSelection() {
+    const removed = Array.from(this.selectedCourses);
+    this.selectedCourses.clear();
+    this.selectedSections = {};
+    this.emit("change", { type: "clear", removed });
+    return removed;
+  }
+
+  // Choose a section, moving a paired lab to a compatible section if the
+  // new one no longer fits it
+  setCourseSection(courseCode, sectionNumber) {
+    const course = this.getCourse(courseCode);
+    if (!course) return;
+    this.selectedSections[courseCode] = sectionNumber;
+
+    (course.corequisites || [])
+      .filter((coreq) => this.selectedCourses.has(coreq))
+      .forEach((coreq) => {
+        const coreqCourse = this.getCourse(coreq);
+        const coreqSection = this.getSelectedSection(coreq);
+        const theorySection = this.getSelectedSection(courseCode);
+        if (
+          !coreqCourse ||
+          coreqCourse.type !== "lab" ||
+          !coreqSection ||
+          !theorySection
+        ) {
+          return;
+        }
+        const others = this.getChosenSections([coreq]);
+        if (
+          isLabCompatible(coreqSection, theorySection) &&
+          getClashingCourses(coreqSection, others).length === 0
+        ) {
+          return;
+        }
+        const assignment = findClashFreeSections(
+          [coreq],
+          this.sectionsData.sections,
+          this.courses,
+          others
+        );
+        if (assignment) {
+          Object.assign(this.selectedSections, assignment);
+        }
+      });
+
+    this.emit("change", { type: "section", code: courseCode });
+  }
+
+  // Move a course and its corequisites to the transcript. Returns the codes
+  // newly completed.
+  markCompleted(courseCode) {
+    const course = this.getCourse(courseCode);
+    if (!course) return [];
+
+    const completed = [courseCode, ...this.getCorequisites(course)].filter(
+      (code) => !this.completedCourses.has(code)
+    );
+    completed.forEach((code) => {
+      this.completedCourses.add(code);
+      // A completed course cannot be taken again this semester
+      this.selectedCourses.delete(code);
+      delete this.selectedSections[code];
+    });
+    this.emit("change", { type: "complete", code: courseCode, completed });
+    return completed;
+  }
+
+  unmarkCompleted(courseCode) {
+    if (!this.completedCourses.delete(courseCode)) return false;
+    this.emit("change", { type: "uncomplete", code: courseCode });
+    return true;
+  }
+
+  // Replace the transcript, e.g. from an imported grade report. Completed
+  // courses leave the selection.
+  setCompletedCourses(codes) {
+    this.completedCourses = new Set(
+      codes.filter((code) => this.getCourse(code))
+    );
+    this.completedCourses.forEach((code) => {
+      this.selectedCourses.delete(code);
+      delete this.selectedSections[code];
+    });
+    this.emit("change", {
+      type: "transcript",
+      completed: Array.from(this.completedCourses),
+    });
+  }
+
+  setLimits({ maxCredits = this.maxCredits, maxCourses = this.maxCourses }) {
+    this.maxCredits = maxCredits;
+    this.maxCourses = maxCourses;
+    this.emit("change", { type: "limits" });
+  }
+
+  setRetake(courseCode, isRetake) {
+    if (isRetake) {
+      this.retakeCourses.add(courseCode);
+    } else {
+      this.retakeCourses.delete(courseCode);
+    }
+    this.emit("change", { type: "cost" });
+  }
+
+  setCostAdjustments(adjustments) {
+    this.costAdjustments = { ...this.costAdjustments, ...adjustments };
+    this.emit("change", { type: "cost" });
+  }
+
+  setAdmissionYear(year) {
+    this.admissionYear = year;
+    this.emit("change", { type: "cost" });
+  }
+
+  // Replace the selection, transcript, limits and retakes at once (undo,
+  // import, scenarios, saved data). Parts the state leaves out are kept. The
+  // state is expected to be validated already.
+  setState(state) {
+    if (state.selectedCourses) {
+      this.selectedCourses = new Set(state.selectedCourses);
+      this.selectedSections = { ...state.selectedSections };
+    }
+    if (state.completedCourses) {
+      this.completedCourses = new Set(state.completedCourses);
+    }
+    if (state.limits) {
+      this.maxCredits = state.limits.maxCredits || this.maxCredits;
+      this.maxCourses = state.limits.maxCourses || this.maxCourses;
+    }
+    if (state.retakeCourses) {
+      this.retakeCourses = new Set(state.retakeCourses);
+    }
+    this.emit("change", { type: "state" });
+  }
+
+  getFeeSchedule() {
+    return selectFeeSchedule(this.feesData, this.admissionYear);
+  }
+
+  // Semester cost of the selection, or null without a fee schedule
+  getCost() {
+    const feeSchedule = this.getFeeSchedule();
+    if (!feeSchedule) return null;
+    return calculateSemesterCost(this.getSelectedCourses(), feeSchedule, {
+      ...this.costAdjustments,
+      retakeCourses: Array.from(this.retakeCourses),
+    });
+  }
+
+  // Degree audit and rule progress. `planned` defaults to the selection;
+  // the page adds its roadmap courses.
+  getProgress(planned = this.selectedCourses) {
+    const notCompleted = new Set(
+      [...planned].filter((code) => !this.completedCourses.has(code))
+    );
+    return {
+      audit: computeDegreeAudit(this.courses, this.rulesData, {
+        completed: this.completedCourses,
+        planned: notCompleted,
+        alternativeGroups: this.alternativeGroups,
+      }),
+      rules: getRuleProgress(this.rulesData, {
+        courses: this.courses,
+        taken: this.getTaken(),
+        completed: this.completedCourses,
+      }),
+    };
+  }
+
+  // Problems with the current selection as a whole, as { code, message }
+  // (code is null for selection-wide problems)
+  validate() {
+    const problems = [];
+    const credits = this.getSelectedCredits();
+    if (credits > this.maxCredits) {
+      problems.push({
+        code: null,
+        message: `${credits} credits selected, over the ${this.maxCredits}-credit limit`,
+      });
+    }
+    if (this.getSelectedCourseCount() > this.maxCourses) {
+      problems.push({
+        code: null,
+        message: `${this.getSelectedCourseCount()} courses selected, over the ${this.maxCourses}-course limit`,
+      });
+    }
+
+    this.getSelectedCourses().forEach((course) => {
+      const missing = this.getMissingPrerequisites(course);
+      if (missing.length > 0) {
+        problems.push({
+          code: course.code,
+          message: `${course.code} needs ${missing.join(", ")}`,
+        });
+      }
+      (course.corequisites || [])
+        .filter(
+          (coreq) =>
+            this.courseMap.has(coreq) &&
+            !this.selectedCourses.has(coreq) &&
+            !this.completedCourses.has(coreq)
+        )
+        .forEach((coreq) => {
+          problems.push({
+            code: course.code,
+            message: `${course.code} must be taken with ${coreq}`,
+          });
+        });
+      this.getRuleViolations(course).forEach((violation) => {
+        problems.push({ code: course.code, message: violation.message });
+      });
+      const section = this.getSelectedSection(course.code);
+      if (section) {
+        const clashes = getClashingCourses(
+          section,
+          this.getChosenSections([course.code])
+        );
+        if (clashes.length > 0) {
+          problems.push({
+            code: course.code,
+            message: `${course.code} clashes with ${clashes.join(", ")}`,
+          });
+        }
+      }
+    });
+    return problems;
+  }
+}
@@ -0,0 +1,129 @@
+// Prerequisite graph: courses as nodes, prerequisite and corequisite links as
+// edges, laid out left-to-right in layers by prerequisite depth.
+
+export const NODE_WIDTH = 100;
+export const NODE_HEIGHT = 36;
+const LAYER_GAP = 70;
+const ROW_GAP = 14;
+const PADDING = 20;
+
+export function buildPrerequisiteGraph(courses) {
+  const codes = new Set(courses.map((c) => c.code));
+  const edges = [];
+
+  courses.forEach((course) => {
+    (course.prerequisites || [])
+      .filter((prereq) => codes.has(prereq))
+      .forEach((prereq) => {
+        edges.push({ from: prereq, to: course.code, type: "prerequisite" });
+      });
+
+    // Corequisites are usually listed on both sides; keep one edge per pair
+    (course.corequisites || [])
+      .filter((coreq) => codes.has(coreq))
+      .forEach((coreq) => {
+        const exists = edges.some(
+          (e) =>
+            e.type === "corequisite" &&
+            ((e.from === coreq && e.to === course.code) ||
+              (e.from === course.code && e.to === coreq))
+        );
+        if (!exists) {
+          edges.push({ from: course.code, to: coreq, type: "corequisite" });
+        }
+      });
+  });
+
+  return { nodes: courses.map((c) => c.code), edges };
+}
+
+// All courses reachable by following edges in one direction.
+// "upstream" walks towards prerequisites, "downstream" towards dependents.
+export function getChain(graph, code, direction) {
+  const chain = new Set();
+  const stack = [code];
+  while (stack.length > 0) {
+    const current = stack.pop();
+    graph.edges
+      .filter((e) => e.type === "prerequisite")
+      .forEach((e) => {
+        const next =
+          direction === "upstream"
+            ? e.to === current && e.from
+            : e.from === current && e.to;
+        if (next && !chain.has(next) && next !== code) {
+          chain.add(next);
+          stack.push(next);
+        }
+      });
+  }
+  return chain;
+}
+
+// Assign x/y positions. Layer = length of the longest prerequisite path
+// leading to the course; rows within a layer are ordered by the average row
+// of their prerequisites to keep edges short.
+export function layoutGraph(graph, visibleCodes) {
+  const visible = new Set(visibleCodes);
+  const prerequisiteEdges = graph.edges.filter(
+    (e) => e.type === "prerequisite" && visible.has(e.from) && visible.has(e.to)
+  );
+
+  const layers = new Map();
+  const visiting = new Set();
+  const layerOf = (code) => {
+    if (layers.has(code)) return layers.get(code);
+    // A prerequisite cycle would recurse forever; treat it as a root
+    if (visiting.has(code)) return 0;
+    visiting.add(code);
+    const parents = prerequisiteEdges.filter((e) => e.to === code);
+    const layer =
+      parents.length > 0
+        ? Math.max(...parents.map((e) => layerOf(e.from))) + 1
+        : 0;
+    visiting.delete(code);
+    layers.set(code, layer);
+    return layer;
+  };
+  visible.forEach((code) => layerOf(code));
+
+  const columns = [];
+  layers.forEach((layer, code) => {
+    (columns[layer] = columns[layer] || []).push(code);
+  });
+
+  const rowOf = new Map();
+  columns.forEach((column, layerIndex) => {
+    if (layerIndex === 0) {
+      column.sort();
+    } else {
+      const barycenter = (code) => {
+        const parents = prerequisiteEdges
+          .filter((e) => e.to === code)
+          .map((e) => rowOf.get(e.from));
+        return parents.reduce((a, b) => a + b, 0) / parents.length;
+      };
+      column.sort(
+        (a, b) => barycenter(a) - barycenter(b) || a.localeCompare(b)
+      );
+    }
+    column.forEach((code, row) => rowOf.set(code, row));
+  });
+
+  const positions = new Map();
+  columns.forEach((column, layerIndex) => {
+    column.forEach((code, row) => {
+      positions.set(code, {
+        x: PADDING + layerIndex * (NODE_WIDTH + LAYER_GAP),
+        y: PADDING + row * (NODE_HEIGHT + ROW_GAP),
+      });
+    });
+  });
+
+  const tallestColumn = Math.max(0, ...columns.map((c) => (c ? c.length : 0)));
+  return {
+    positions,
+    width: PADDING * 2 + columns.length * (NODE_WIDTH + LAYER_GAP) - LAYER_GAP,
+    height: PADDING * 2 + tallestColumn * (NODE_HEIGHT + ROW_GAP) - ROW_GAP,
+  };
+}
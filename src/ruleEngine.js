@@ -0,0 +1,267 @@
+// Curriculum rule engine. Rules live in data/rules.json next to the course
+// catalog; this module turns them into availability checks, validation
+// messages and progress figures for the planner.
+//
+// Rule types:
+//   choose     take `count` of `courses`, and at most `max` of them
+//              (alternative groups are choose rules with count 1, max 1)
+//   trail      `primaryCount` courses from one of `categories`, plus
+//              `extraCount` more from any of them
+//   creditCap  at most `maxCredits` credits from `categories`
+
+const rulesOfType = (rulesData, type) =>
+  ((rulesData && rulesData.rules) || []).filter((rule) => rule.type === type);
+
+// Mutually exclusive course groups, as plain code arrays
+export function getAlternativeGroups(rulesData) {
+  return rulesOfType(rulesData, "choose")
+    .filter((rule) => rule.max === 1)
+    .map((rule) => rule.courses);
+}
+
+export function getChooseRule(rulesData, courseCode) {
+  return (
+    rulesOfType(rulesData, "choose").find((rule) =>
+      rule.courses.includes(courseCode)
+    ) || null
+  );
+}
+
+export function getTrailRule(rulesData) {
+  return rulesOfType(rulesData, "trail")[0] || null;
+}
+
+export function isTrailCourse(rule, course) {
+  return Boolean(rule) && rule.categories.includes(course.category);
+}
+
+// Work out the trail state from the trail courses taken so far. Nothing is
+// stored: the first trail is the one with the most courses (ties go to the
+// trail with more completed courses, then alphabetically), and anything
+// beyond its `primaryCount` courses is the extra elective, from whichever
+// trail holds it.
+export function getTrailState(rule, courses, completed = new Set()) {
+  const trailCourses = courses.filter((course) => isTrailCourse(rule, course));
+
+  const trailCounts = {};
+  const completedCounts = {};
+  trailCourses.forEach((course) => {
+    trailCounts[course.category] = (trailCounts[course.category] || 0) + 1;
+    if (completed.has(course.code)) {
+      completedCounts[course.category] =
+        (completedCounts[course.category] || 0) + 1;
+    }
+  });
+
+  const ranked = Object.keys(trailCounts).sort(
+    (a, b) =>
+      trailCounts[b] - trailCounts[a] ||
+      (completedCounts[b] || 0) - (completedCounts[a] || 0) ||
+      a.localeCompare(b)
+  );
+  const firstTrail = ranked[0] || null;
+  const firstTrailCourses = firstTrail
+    ? Math.min(trailCounts[firstTrail], rule.primaryCount)
+    : 0;
+  const thirdTrailCourses = trailCourses.length - firstTrailCourses;
+
+  let thirdTrail = null;
+  if (thirdTrailCourses > 0) {
+    thirdTrail =
+      trailCounts[firstTrail] > rule.primaryCount ? firstTrail : ranked[1];
+  }
+
+  return {
+    trailCourses,
+    trailCounts,
+    firstTrail,
+    thirdTrail,
+    firstTrailCourses,
+    thirdTrailCourses,
+  };
+}
+
+// Until the first trail has its primary courses, only that trail is offered
+export function isTrailCourseAllowed(rule, state, course) {
+  if (!isTrailCourse(rule, course)) return true;
+  return !(
+    state.firstTrail &&
+    state.firstTrailCourses < rule.primaryCount &&
+    course.category !== state.firstTrail
+  );
+}
+
+// Rank the trails by how close the student is to finishing one: the fewest
+// courses still to take, counting the trail courses themselves plus any
+// prerequisites they are missing.
+//
+// context:
+//   taken                    Set of codes already selected or completed
+//   getMissingPrerequisites  (course) => unmet prerequisite codes
+//
+// Returns [{ trail, taken, needed, next, missing, ready, steps }], best first.
+export function recommendTrails(rule, courses, context) {
+  if (!rule) return [];
+  const { taken, getMissingPrerequisites } = context;
+  const codes = new Set(courses.map((course) => course.code));
+
+  return rule.categories
+    .map((trail) => {
+      const trailCourses = courses.filter((c) => c.category === trail);
+      const takenCodes = trailCourses
+        .filter((c) => taken.has(c.code))
+        .map((c) => c.code);
+      const candidates = trailCourses
+        .filter((c) => !taken.has(c.code))
+        .map((course) => ({
+          course,
+          missing: getMissingPrerequisites(course).filter((code) =>
+            codes.has(code)
+          ),
+        }))
+        .sort(
+          (a, b) =>
+            a.missing.length - b.missing.length ||
+            a.course.code.localeCompare(b.course.code)
+        );
+
+      // Trails without enough courses left cannot be completed
+      if (takenCodes.length + candidates.length < rule.primaryCount) {
+        return null;
+      }
+
+      const needed = Math.max(0, rule.primaryCount - takenCodes.length);
+      const next = candidates.slice(0, needed);
+      const missing = [
+        ...new Set(next.flatMap((candidate) => candidate.missing)),
+      ].filter((code) => !taken.has(code));
+
+      return {
+        trail,
+        taken: takenCodes,
+        needed,
+        next: next.map((candidate) => candidate.course.code),
+        missing,
+        ready: candidates
+          .filter((candidate) => candidate.missing.length === 0)
+          .map((candidate) => candidate.course.code),
+        steps: needed + missing.length,
+      };
+    })
+    .filter(Boolean)
+    .sort(
+      (a, b) =>
+        a.steps - b.steps ||
+        b.taken.length - a.taken.length ||
+        b.ready.length - a.ready.length ||
+        a.trail.localeCompare(b.trail)
+    );
+}
+
+// Reasons a course cannot be added under the curriculum rules.
+//
+// context:
+//   courses    the full catalog
+//   taken      Set of codes already selected or completed
+export function getRuleViolations(rulesData, course, context) {
+  const { courses, taken } = context;
+  const violations = [];
+
+  rulesOfType(rulesData, "choose").forEach((rule) => {
+    if (!rule.courses.includes(course.code) || rule.max === undefined) return;
+    const takenFromRule = rule.courses.filter(
+      (code) => code !== course.code && taken.has(code)
+    );
+    if (takenFromRule.length >= rule.max) {
+      violations.push({
+        ruleId: rule.id,
+        type: rule.type,
+        courses: takenFromRule,
+        message: `${rule.name}: only ${rule.max} of ${rule.courses.join(
+          ", "
+        )} may be taken, and ${takenFromRule.join(", ")} ${
+          takenFromRule.length === 1 ? "is" : "are"
+        } already taken`,
+      });
+    }
+  });
+
+  rulesOfType(rulesData, "creditCap").forEach((rule) => {
+    if (!rule.categories.includes(course.category)) return;
+    const usedCredits = courses
+      .filter(
+        (c) =>
+          c.code !== course.code &&
+          taken.has(c.code) &&
+          rule.categories.includes(c.category)
+      )
+      .reduce((total, c) => total + c.credits, 0);
+    if (usedCredits + course.credits > rule.maxCredits) {
+      violations.push({
+        ruleId: rule.id,
+        type: rule.type,
+        courses: [],
+        message: `${rule.name} are capped at ${rule.maxCredits} credits (${usedCredits} already taken)`,
+      });
+    }
+  });
+
+  return violations;
+}
+
+// Progress figures for every trail and credit-cap rule.
+//
+// context:
+//   courses    the full catalog
+//   taken      Set of codes already selected or completed
+//   completed  Set of completed codes (breaks ties between trails)
+export function getRuleProgress(rulesData, context) {
+  const { courses, taken, completed } = context;
+  const progress = [];
+
+  const trailRule = getTrailRule(rulesData);
+  if (trailRule) {
+    const state = getTrailState(
+      trailRule,
+      courses.filter((c) => taken.has(c.code)),
+      completed
+    );
+    if (state.trailCourses.length > 0) {
+      if (state.firstTrail) {
+        progress.push({
+          ruleId: trailRule.id,
+          label: `First Trail (${state.firstTrail})`,
+          current: state.firstTrailCourses,
+          target: trailRule.primaryCount,
+          unit: "course",
+        });
+      }
+      if (state.trailCourses.length >= trailRule.primaryCount) {
+        progress.push({
+          ruleId: trailRule.id,
+          label: `Additional Elective (${state.thirdTrail || "Any Trail"})`,
+          current: state.thirdTrailCourses,
+          target: trailRule.extraCount,
+          unit: "course",
+        });
+      }
+    }
+  }
+
+  rulesOfType(rulesData, "creditCap").forEach((rule) => {
+    const usedCredits = courses
+      .filter((c) => taken.has(c.code) && rule.categories.includes(c.category))
+      .reduce((total, c) => total + c.credits, 0);
+    if (usedCredits > 0) {
+      progress.push({
+        ruleId: rule.id,
+        label: rule.name,
+        current: usedCredits,
+        target: rule.maxCredits,
+        unit: "credit",
+      });
+    }
+  });
+
+  return progress;
+}
@@ -0,0 +1,105 @@
+// Named plan scenarios, e.g. "Plan A: heavy CSE" and "Plan B: finish
+// University Core". Each scenario holds a full planner state (see
+// getPlannerState in main.js). The planner always edits the active scenario;
+// its saved plan is that scenario's working copy, so the stored state of the
+// active scenario is refreshed from the planner before it is read.
+
+import { calculateSemesterCost } from "./fees.js";
+import { computeDegreeAudit } from "./degreeAudit.js";
+
+export function createScenario(name, state) {
+  return {
+    id: `plan-${Date.now().toString(36)}-${Math.random()
+      .toString(36)
+      .slice(2, 7)}`,
+    name,
+    state,
+  };
+}
+
+// Saved scenarios with malformed entries dropped, or null if there are none
+export function normalizeScenarios(raw) {
+  if (!raw || typeof raw !== "object" || !Array.isArray(raw.scenarios)) {
+    return null;
+  }
+  const scenarios = raw.scenarios.filter(
+    (scenario) =>
+      scenario &&
+      typeof scenario.id === "string" &&
+      typeof scenario.name === "string" &&
+      scenario.state &&
+      typeof scenario.state === "object"
+  );
+  if (scenarios.length === 0) return null;
+  const activeId = scenarios.some((scenario) => scenario.id === raw.activeId)
+    ? raw.activeId
+    : scenarios[0].id;
+  return { activeId, scenarios };
+}
+
+// "Plan A", "Plan B", ... skipping names already in use
+export function getNextScenarioName(scenarios) {
+  const names = new Set(scenarios.map((scenario) => scenario.name));
+  for (let index = 0; index < 26; index++) {
+    const name = `Plan ${String.fromCharCode(65 + index)}`;
+    if (!names.has(name)) return name;
+  }
+  return `Plan ${scenarios.length + 1}`;
+}
+
+// Make a name unique among the scenarios by numbering repeats
+export function getUniqueScenarioName(scenarios, name) {
+  const names = new Set(scenarios.map((scenario) => scenario.name));
+  if (!names.has(name)) return name;
+  let number = 2;
+  while (names.has(`${name} ${number}`)) number++;
+  return `${name} ${number}`;
+}
+
+// Figures for the comparison table. Codes the catalog does not have (a
+// scenario saved under another catalog) are left out.
+//
+// context:
+//   courses            the full catalog
+//   rulesData          requirements for the degree audit
+//   alternativeGroups  arrays of mutually exclusive course codes
+//   feeSchedule        fee schedule for the admission year, or null
+//   adjustments        cost adjustments, as for calculateSemesterCost
+export function summarizeScenario(state, context) {
+  const { courses, rulesData, alternativeGroups, feeSchedule, adjustments } =
+    context;
+  const courseMap = new Map(courses.map((course) => [course.code, course]));
+  const selected = state.selectedCourses
+    .map((code) => courseMap.get(code))
+    .filter(Boolean);
+  const completed = new Set(
+    state.completedCourses.filter((code) => courseMap.has(code))
+  );
+
+  const cost = feeSchedule
+    ? calculateSemesterCost(selected, feeSchedule, adjustments)
+    : null;
+
+  // Degree progress the semester would add on top of the transcript
+  const audit = computeDegreeAudit(courses, rulesData, {
+    completed,
+    planned: new Set(
+      selected
+        .map((course) => course.code)
+        .filter((code) => !completed.has(code))
+    ),
+    alternativeGroups,
+  });
+
+  return {
+    credits: selected.reduce((total, course) => total + course.credits, 0),
+    courseCount: selected.length,
+    maxCredits: state.limits.maxCredits,
+    cost,
+    conditionalFees: cost ? cost.conditionalFees : [],
+    progressCredits: audit.plannedCredits,
+    progressPercent: audit.totalCredits
+      ? (audit.plannedCredits / audit.totalCredits) * 100
+      : 0,
+  };
+}
@@ -0,0 +1,109 @@
+// Class sections, weekly time slots and clash detection.
+//
+// Sections come from data/sections.json. Days use the university's one-letter
+// codes, combined for twice-weekly classes (e.g. "ST" = Sunday + Tuesday):
+//   S Sunday, M Monday, T Tuesday, W Wednesday, R Thursday, A Saturday, F Friday
+
+export const DAY_ORDER = ["A", "S", "M", "T", "W", "R", "F"];
+export const DAY_NAMES = {
+  A: "Saturday",
+  S: "Sunday",
+  M: "Monday",
+  T: "Tuesday",
+  W: "Wednesday",
+  R: "Thursday",
+  F: "Friday",
+};
+
+export function parseDays(days) {
+  return days
+    .toUpperCase()
+    .split("")
+    .filter((day) => DAY_ORDER.includes(day));
+}
+
+// "13:05" -> minutes since midnight
+export function toMinutes(time) {
+  const [hours, minutes] = time.split(":").map((part) => parseInt(part));
+  return hours * 60 + (minutes || 0);
+}
+
+export function sectionsOverlap(a, b) {
+  const sharedDay = parseDays(a.days).some((day) =>
+    parseDays(b.days).includes(day)
+  );
+  return (
+    sharedDay &&
+    toMinutes(a.start) < toMinutes(b.end) &&
+    toMinutes(b.start) < toMinutes(a.end)
+  );
+}
+
+// A lab section lists the theory sections it can be taken with in
+// `pairedWith`; without it, only the theory section with the same number.
+export function isLabCompatible(labSection, theorySection) {
+  return labSection.pairedWith
+    ? labSection.pairedWith.includes(theorySection.section)
+    : labSection.section === theorySection.section;
+}
+
+// Codes of already-chosen sections that overlap with a section.
+// `chosen` is a list of { code, section } where section is a section object.
+export function getClashingCourses(section, chosen) {
+  return chosen
+    .filter((entry) => sectionsOverlap(section, entry.section))
+    .map((entry) => entry.code);
+}
+
+// Find one section for every course in `codes` so that none of them clash
+// with each other or with `chosen`, and every lab is paired with a compatible
+// theory section. Courses without section data, or missing from the
+// catalog, are left out of the result.
+//
+// Returns { code: sectionNumber } or null if no combination works.
+export function findClashFreeSections(codes, sectionsByCode, courses, chosen) {
+  const courseOf = (code) => courses.find((c) => c.code === code);
+  const scheduled = codes.filter(
+    (code) => (sectionsByCode[code] || []).length > 0 && courseOf(code)
+  );
+
+  // Theory courses first, so labs can be matched against them
+  scheduled.sort(
+    (a, b) =>
+      Number(courseOf(a).type === "lab") - Number(courseOf(b).type === "lab")
+  );
+
+  const assignment = {};
+  const picked = [];
+
+  const search = (index) => {
+    if (index === scheduled.length) return true;
+    const code = scheduled[index];
+    const course = courseOf(code);
+
+    for (const section of sectionsByCode[code]) {
+      if (getClashingCourses(section, [...chosen, ...picked]).length > 0) {
+        continue;
+      }
+
+      if (course.type === "lab") {
+        // Must pair with whichever corequisite theory section is in play
+        const theoryEntry = [...chosen, ...picked].find((entry) =>
+          (course.corequisites || []).includes(entry.code)
+        );
+        if (theoryEntry && !isLabCompatible(section, theoryEntry.section)) {
+          continue;
+        }
+      }
+
+      assignment[code] = section.section;
+      picked.push({ code, section });
+      if (search(index + 1)) return true;
+      picked.pop();
+      delete assignment[code];
+    }
+    return false;
+  };
+
+  return search(0) ? assignment : null;
+}
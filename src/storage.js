@@ -0,0 +1,80 @@
+// Versioned local storage. The planner keeps its data under plain
+// localStorage keys ("selectedCourses", "theme", ...); "storageVersion"
+// records the schema they were written in. migrateStorage() runs at start-up
+// and brings data saved by an older release up to STORAGE_VERSION, one
+// migration at a time, before anything reads it.
+//
+// To change how something is stored, bump STORAGE_VERSION and add a
+// migration for the new version that rewrites the old data.
+
+export const STORAGE_VERSION = 2;
+const VERSION_KEY = "storageVersion";
+
+// Keys holding JSON; the rest ("theme", "viewMode", ...) are plain strings
+export const JSON_KEYS = [
+  "selectedCourses",
+  "selectedSections",
+  "completedCourses",
+  "roadmap",
+  "retakeCourses",
+  "costAdjustments",
+  "courseFilters",
+  "scenarios",
+  "creditPolicy",
+  "gradeRecords",
+  "studentInfo",
+];
+
+const MIGRATIONS = [
+  {
+    // Unversioned data. A value that no longer parses is dropped so that a
+    // single damaged key cannot break loading of the others.
+    version: 1,
+    migrate(storage) {
+      JSON_KEYS.forEach((key) => {
+        const value = storage.getItem(key);
+        if (value === null) return;
+        try {
+          JSON.parse(value);
+        } catch (error) {
+          console.warn(`Dropped unreadable saved ${key}:`, error);
+          storage.removeItem(key);
+        }
+      });
+    },
+  },
+  {
+    // Plans saved before there was a choice of catalogs were made with the
+    // CSE catalog; without this, a new default catalog would be picked for
+    // them and their course codes would not match.
+    version: 2,
+    migrate(storage) {
+      const hasPlan = ["selectedCourses", "completedCourses", "roadmap"].some(
+        (key) => storage.getItem(key) !== null
+      );
+      if (hasPlan && storage.getItem("catalog") === null) {
+        storage.setItem("catalog", "cse");
+      }
+    },
+  },
+];
+
+export function getStorageVersion(storage) {
+  const version = parseInt(storage.getItem(VERSION_KEY));
+  return Number.isNaN(version) ? 0 : version;
+}
+
+// Run the migrations the saved data has not had yet. Data from a newer
+// release is left alone. Returns { from, to }.
+export function migrateStorage(storage) {
+  const from = getStorageVersion(storage);
+  let version = from;
+  MIGRATIONS.filter((migration) => migration.version > from)
+    .sort((a, b) => a.version - b.version)
+    .forEach((migration) => {
+      migration.migrate(storage);
+      version = migration.version;
+      storage.setItem(VERSION_KEY, String(version));
+    });
+  return { from, to: version };
+}
@@ -0,0 +1,226 @@
+// Transcript import from a CSV file or text pasted from the grade report
+// page. Both are read line by line:
+//
+//   CSV          code,grade,semester   a header row may name the columns in
+//                                      any order ("Course", "Grade", "Term")
+//   grade report CSE 215L  Programming Language II Lab  1.0  A-  Fall 2023
+//                                      the code, grade and term are picked
+//                                      out of the line; a line holding only a
+//                                      term ("Fall 2023") applies to the rows
+//                                      below it
+//
+// Codes are normalized ("cse 215l", "CSE-215L" -> "CSE215L") and matched
+// against the catalog. Every line becomes a preview row; only rows with
+// status "ok" are imported.
+
+import { getGradePoints } from "./grades.js";
+
+const CODE_PATTERN = /\b([A-Za-z]{2,4})\s*-?\s*(\d{3}[A-Za-z]?)\b/;
+const TERM_PATTERN = /\b(Spring|Summer|Fall)\s*[-']?\s*(\d{4})\b/i;
+const TERMS = ["Spring", "Summer", "Fall"];
+
+export function normalizeCourseCode(text) {
+  const match = CODE_PATTERN.exec(String(text || ""));
+  return match ? `${match[1]}${match[2]}`.toUpperCase() : null;
+}
+
+// "fall 2023" -> "Fall 2023", or "" if the text names no term
+export function normalizeTerm(text) {
+  const match = TERM_PATTERN.exec(String(text || ""));
+  if (!match) return "";
+  const season = TERMS.find(
+    (term) => term.toLowerCase() === match[1].toLowerCase()
+  );
+  return `${season} ${match[2]}`;
+}
+
+// Chronological sort key of a term; attempts without a term sort last
+function termOrder(term) {
+  const match = /^(Spring|Summer|Fall) (\d{4})$/.exec(term);
+  if (!match) return Infinity;
+  return parseInt(match[2]) * TERMS.length + TERMS.indexOf(match[1]);
+}
+
+// Split a CSV line, honouring double-quoted cells
+function splitCsvLine(line, delimiter) {
+  const cells = [];
+  let cell = "";
+  let quoted = false;
+  for (let index = 0; index < line.length; index++) {
+    const char = line[index];
+    if (quoted) {
+      if (char === '"' && line[index + 1] === '"') {
+        cell += '"';
+        index++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      cells.push(cell.trim());
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  cells.push(cell.trim());
+  return cells;
+}
+
+// Column positions named by a CSV header row, or null if it is not one
+function readHeader(cells) {
+  const find = (pattern) => cells.findIndex((cell) => pattern.test(cell));
+  const columns = {
+    code: find(/^(course\s*)?code$|^course$/i),
+    grade: find(/^(letter\s*)?grade$/i),
+    term: find(/^(semester|term|session)$/i),
+  };
+  return columns.code !== -1 ? columns : null;
+}
+
+// Grade named by a cell or, for pasted text, the last token on the line
+// that is a grade on the scale (course names like "Programming Language I"
+// come before the grade)
+function findGrade(text, scale, wholeCell) {
+  const grades = new Map(
+    scale.map((item) => [item.grade.toUpperCase(), item.grade])
+  );
+  if (wholeCell) return grades.get(text.trim().toUpperCase()) || null;
+  const tokens = text.split(/[\s,;|]+/).filter(Boolean);
+  for (let index = tokens.length - 1; index >= 0; index--) {
+    const grade = grades.get(tokens[index].toUpperCase());
+    if (grade) return grade;
+  }
+  return null;
+}
+
+// Preview rows for a transcript.
+//
+// Returns { rows, format } where format is "csv" or "text" and each row is
+// { line, text, code, grade, term, status, message }. status is one of
+//   ok         imported
+//   unmatched  no such course in the catalog
+//   grade      the grade is not on the grade scale
+//   duplicate  the same course and term appear on an earlier line
+// Lines without a course code (headings, totals) produce no row.
+export function parseTranscript(text, courses, scale) {
+  const known = new Set(courses.map((course) => course.code));
+  const lines = String(text || "").split(/\r?\n/);
+  const firstLine = lines.find((line) => line.trim()) || "";
+  const delimiter = firstLine.includes("\t")
+    ? "\t"
+    : firstLine.includes(",")
+      ? ","
+      : null;
+  const header = delimiter
+    ? readHeader(splitCsvLine(firstLine, delimiter))
+    : null;
+  // CSV files without a header row are read as code, grade, semester;
+  // tab-separated text without one is a table copied from the report page
+  // and is searched like any other pasted line
+  const layout =
+    header || (delimiter === "," ? { code: 0, grade: 1, term: 2 } : null);
+  const format = layout ? "csv" : "text";
+
+  const rows = [];
+  const seen = new Map();
+  let currentTerm = "";
+
+  lines.forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    if (!line || (header && rawLine === firstLine)) return;
+
+    let codeText = line;
+    let gradeText = line;
+    let termText = line;
+    let wholeCell = false;
+    if (layout) {
+      const cells = splitCsvLine(line, delimiter);
+      codeText = cells[layout.code] || "";
+      // A header without a grade or term column leaves the whole line to
+      // search
+      if (layout.grade !== -1) {
+        gradeText = cells[layout.grade] || "";
+        wholeCell = true;
+      }
+      if (layout.term !== -1) termText = cells[layout.term] || "";
+    }
+
+    const code = normalizeCourseCode(codeText);
+    const term = normalizeTerm(termText);
+    if (!code) {
+      // A heading such as "Fall 2023" dates the rows that follow it
+      if (term && !layout) currentTerm = term;
+      return;
+    }
+
+    // Look for the grade after the code so a code suffix is not read as one
+    const codeMatch = CODE_PATTERN.exec(gradeText);
+    const afterCode =
+      wholeCell || !codeMatch
+        ? gradeText
+        : gradeText.slice(codeMatch.index + codeMatch[0].length);
+    const row = {
+      line: index + 1,
+      text: line,
+      code,
+      grade: findGrade(afterCode, scale, wholeCell),
+      term: term || currentTerm,
+      status: "ok",
+      message: "",
+    };
+
+    const key = `${code}|${row.term}`;
+    if (!known.has(code)) {
+      row.status = "unmatched";
+      row.message = `${code} is not in the catalog`;
+    } else if (wholeCell && gradeText.trim() && !row.grade) {
+      row.status = "grade";
+      row.message = `"${gradeText.trim()}" is not a grade on the scale`;
+    } else if (seen.has(key)) {
+      row.status = "duplicate";
+      row.message = `Same course and term as line ${seen.get(key)}`;
+    } else {
+      seen.set(key, row.line);
+    }
+    rows.push(row);
+  });
+
+  return { rows, format };
+}
+
+// Turn the importable rows into grade records and a list of completed
+// courses. Attempts are put in term order; a course is completed when its
+// latest attempt is passed or has no grade (a course listed without one).
+// Failed, withdrawn and incomplete attempts are kept as records only.
+//
+// Returns { completed, notCompleted, records }.
+export function buildTranscript(rows, scale) {
+  const records = {};
+  rows
+    .filter((row) => row.status === "ok")
+    .forEach((row) => {
+      (records[row.code] = records[row.code] || []).push({
+        term: row.term,
+        grade: row.grade || "",
+      });
+    });
+
+  const completed = [];
+  const notCompleted = [];
+  Object.entries(records).forEach(([code, attempts]) => {
+    attempts.sort((a, b) => termOrder(a.term) - termOrder(b.term));
+    const latest = attempts[attempts.length - 1];
+    const points = getGradePoints(scale, latest.grade);
+    if (!latest.grade || points > 0) {
+      completed.push(code);
+    } else {
+      notCompleted.push(code);
+    }
+  });
+
+  return { completed, notCompleted, records };
+}
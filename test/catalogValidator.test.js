@@ -0,0 +1,123 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { validateCatalog, validateRules } from "../src/catalogValidator.js";
+
+const fixture = (name) =>
+  JSON.parse(
+    readFileSync(new URL(`./fixtures/catalogs/${name}.json`, import.meta.url))
+  );
+
+const messages = (problems) => problems.map((problem) => problem.message);
+
+test("a well-formed catalog has no errors or warnings", () => {
+  const { errors, warnings } = validateCatalog(fixture("valid"));
+  assert.deepEqual(errors, []);
+  assert.deepEqual(warnings, []);
+});
+
+test("a prerequisite outside the catalog is an error", () => {
+  const { errors, warnings } = validateCatalog(fixture("unknown-prerequisite"));
+  assert.deepEqual(errors, [
+    {
+      code: "CSE115",
+      message: "CSE115 requires CSE100, which is not in the catalog",
+    },
+  ]);
+  assert.deepEqual(warnings, []);
+});
+
+test("a corequisite outside the catalog is an error", () => {
+  const { errors, warnings } = validateCatalog(fixture("unknown-corequisite"));
+  assert.deepEqual(errors, [
+    {
+      code: "CSE115",
+      message: "CSE115 has corequisite CSE115L, which is not in the catalog",
+    },
+  ]);
+  assert.deepEqual(warnings, []);
+});
+
+test("a lab without a theory corequisite is a warning", () => {
+  const { errors, warnings } = validateCatalog(fixture("lab-without-theory"));
+  assert.deepEqual(errors, []);
+  assert.deepEqual(warnings, [
+    { code: "PHY107L", message: "Lab PHY107L has no theory corequisite" },
+  ]);
+});
+
+test("a course that requires itself is an error", () => {
+  const { errors, warnings } = validateCatalog(fixture("self-prerequisite"));
+  assert.deepEqual(errors, [
+    {
+      code: "CSE215",
+      message: "CSE215 lists itself as a prerequisite",
+    },
+  ]);
+  assert.deepEqual(warnings, []);
+});
+
+test("a prerequisite cycle is reported once as an error", () => {
+  const { errors, warnings } = validateCatalog(fixture("prerequisite-cycle"));
+  assert.deepEqual(errors, [
+    {
+      code: "CSE173",
+      message: "Prerequisite cycle: CSE173 → CSE225 → CSE173",
+    },
+  ]);
+  assert.deepEqual(warnings, []);
+});
+
+test("a category without a badge style is a warning", () => {
+  const { errors, warnings } = validateCatalog(fixture("unknown-category"));
+  assert.deepEqual(errors, []);
+  assert.deepEqual(warnings, [
+    {
+      code: null,
+      message: 'Category "CSE Mystery Trail" has no badge style',
+    },
+  ]);
+});
+
+test("a course code listed twice is an error", () => {
+  const { errors } = validateCatalog(fixture("duplicate-code"));
+  assert.deepEqual(errors, [
+    { code: "CSE115", message: "CSE115 is listed more than once" },
+  ]);
+});
+
+test("malformed entries are errors naming their position", () => {
+  const { errors, warnings } = validateCatalog(fixture("malformed-entry"));
+  assert.deepEqual(messages(errors), [
+    "entry 2 has no course code",
+    "entry 2 has no name",
+    "entry 2 has invalid credits",
+    'entry 2 has type "seminar"; expected theory or lab',
+    "entry 2 has no category",
+    "entry 2 prerequisites must be a list of codes",
+    "entry 3 is not a course object",
+  ]);
+  // Checks that need well-formed entries are skipped
+  assert.deepEqual(warnings, []);
+});
+
+test("a catalog that is not a list is an error", () => {
+  const { errors } = validateCatalog({ courses: [] });
+  assert.deepEqual(messages(errors), ["The catalog is not a list of courses"]);
+});
+
+test("rules naming unknown courses or categories are warnings", () => {
+  const rules = {
+    rules: [
+      {
+        id: "core",
+        courses: ["CSE115", "CSE999"],
+        categories: ["CSE Core", "CSE Specialized Elective"],
+      },
+    ],
+  };
+  assert.deepEqual(messages(validateRules(rules, fixture("valid"))), [
+    'Rule "core" refers to CSE999, which is not in the catalog',
+    'Rule "core" refers to category "CSE Specialized Elective", which no course has',
+  ]);
+});
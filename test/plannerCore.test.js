@@ -0,0 +1,202 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { PlannerCore } from "../src/plannerCore.js";
+import { selectFeeSchedule, calculateSemesterCost } from "../src/fees.js";
+
+const readData = (file) =>
+  JSON.parse(readFileSync(new URL(`../public/data/${file}`, import.meta.url)));
+
+// The CSE catalog as the page loads it
+const catalogData = {
+  courses: readData("courses.json"),
+  rules: readData("rules.json"),
+  fees: readData("fees.json"),
+  sections: readData("sections.json"),
+};
+
+const createCore = () => {
+  const core = new PlannerCore(catalogData);
+  const events = [];
+  core.on("change", (event) => events.push(event));
+  return { core, events };
+};
+
+test("adding a course brings its lab along with clash-free sections", () => {
+  const { core, events } = createCore();
+
+  assert.deepEqual(core.addCourse("CSE115"), ["CSE115", "CSE115L"]);
+  assert.deepEqual([...core.selectedCourses], ["CSE115", "CSE115L"]);
+  assert.equal(core.getSelectedCredits(), 4);
+  assert.ok(core.getSelectedSection("CSE115"));
+  assert.ok(core.getSelectedSection("CSE115L"));
+  assert.deepEqual(core.validate(), []);
+  assert.deepEqual(events, [
+    { type: "add", code: "CSE115", added: ["CSE115", "CSE115L"] },
+  ]);
+});
+
+test("adding an unknown course changes nothing", () => {
+  const { core, events } = createCore();
+  assert.equal(core.addCourse("CSE999"), null);
+  assert.equal(core.selectedCourses.size, 0);
+  assert.deepEqual(events, []);
+});
+
+test("corequisites outside the catalog are not added", () => {
+  const core = new PlannerCore({
+    ...catalogData,
+    courses: catalogData.courses.map((course) =>
+      course.code === "CSE115"
+        ? { ...course, corequisites: ["CSE115L", "CSE115X"] }
+        : course
+    ),
+  });
+
+  assert.deepEqual(core.addCourse("CSE115"), ["CSE115", "CSE115L"]);
+  assert.equal(core.getSelectedCourseCount(), 2);
+  assert.deepEqual(core.markCompleted("CSE115"), ["CSE115", "CSE115L"]);
+  assert.deepEqual([...core.completedCourses], ["CSE115", "CSE115L"]);
+});
+
+test("removing a course drops the lab no other course needs", () => {
+  const { core, events } = createCore();
+  core.addCourse("CSE115");
+
+  assert.deepEqual(core.removeCourse("CSE115"), {
+    removed: ["CSE115", "CSE115L"],
+    droppedCorequisites: ["CSE115L"],
+  });
+  assert.equal(core.selectedCourses.size, 0);
+  assert.deepEqual(core.selectedSections, {});
+  assert.equal(events.at(-1).type, "remove");
+});
+
+test("removing the lab drops its theory course too", () => {
+  const { core } = createCore();
+  core.addCourse("CSE115");
+
+  assert.deepEqual(core.removeCourse("CSE115L").removed, ["CSE115L", "CSE115"]);
+  assert.equal(core.selectedCourses.size, 0);
+});
+
+test("an alternative is blocked once the other is selected or completed", () => {
+  const { core } = createCore();
+  assert.equal(core.wouldViolateAlternatives("POL104"), false);
+  assert.deepEqual(core.getAlternativeGroup("POL104"), ["POL101", "POL104"]);
+
+  core.addCourse("POL101");
+  assert.equal(core.wouldViolateAlternatives("POL104"), true);
+  assert.equal(
+    core.isCourseAvailable(core.getCourse("POL104")),
+    false,
+    "POL104 is not offered alongside POL101"
+  );
+
+  core.removeCourse("POL101");
+  assert.equal(core.wouldViolateAlternatives("POL104"), false);
+
+  core.markCompleted("POL101");
+  assert.equal(core.wouldViolateAlternatives("POL104"), true);
+  assert.equal(core.wouldViolateAlternatives("CSE999"), false);
+});
+
+test("trail courses are limited to the first trail until it has two", () => {
+  const { core } = createCore();
+  const course = (code) => core.getCourse(code);
+
+  assert.equal(core.getTrailState().firstTrail, null);
+  assert.equal(core.isTrailCourseAllowed(course("CSE411")), true);
+
+  core.addCourse("CSE401");
+  let state = core.getTrailState();
+  assert.equal(state.firstTrail, "Algorithms and Computation Trail");
+  assert.equal(state.firstTrailCourses, 1);
+  assert.equal(core.isTrailCourseAllowed(course("CSE417")), true);
+  assert.equal(core.isTrailCourseAllowed(course("CSE411")), false);
+  // Courses outside the trails are never limited
+  assert.equal(core.isTrailCourseAllowed(course("POL101")), true);
+
+  core.markCompleted("CSE417");
+  state = core.getTrailState();
+  assert.equal(state.firstTrailCourses, 2);
+  assert.equal(core.isTrailCourseAllowed(course("CSE411")), true);
+
+  core.addCourse("CSE411");
+  state = core.getTrailState();
+  assert.equal(state.thirdTrail, "Software Engineering Trail");
+  assert.equal(state.thirdTrailCourses, 1);
+});
+
+test("semester cost adds tuition, fixed fees and the lab fee once", () => {
+  const schedule = selectFeeSchedule(catalogData.fees, "2025");
+  const courses = ["CSE115", "CSE115L", "MAT116"].map((code) =>
+    catalogData.courses.find((course) => course.code === code)
+  );
+  const cost = calculateSemesterCost(courses, schedule);
+
+  assert.equal(cost.credits, 4);
+  assert.equal(cost.tuition, 4 * 6500);
+  assert.deepEqual(
+    cost.tuitionLines.map((line) => [line.code, line.amount]),
+    [
+      ["CSE115", 19500],
+      ["CSE115L", 6500],
+      ["MAT116", 0],
+    ]
+  );
+  assert.deepEqual(
+    cost.conditionalFees.map((fee) => [fee.id, fee.triggeredBy]),
+    [["computer-lab", ["CSE115L"]]]
+  );
+  assert.equal(cost.total, 26000 + 3000 + 1500 + 2500);
+  assert.equal(cost.payable, cost.total);
+  assert.deepEqual(cost.installments, [33000]);
+});
+
+test("semester cost applies retake discounts, then waivers, then installments", () => {
+  const schedule = selectFeeSchedule(catalogData.fees, "2025");
+  const courses = ["CSE115", "CSE115L"].map((code) =>
+    catalogData.courses.find((course) => course.code === code)
+  );
+  const cost = calculateSemesterCost(courses, schedule, {
+    retakeCourses: ["CSE115"],
+    retakeDiscountPercent: 50,
+    waiverType: "percent",
+    waiverValue: 10,
+    installments: 3,
+  });
+
+  assert.equal(cost.retakeDiscount, 9750);
+  // 10% of the tuition left after the retake discount
+  assert.equal(cost.waiver, 1625);
+  assert.equal(cost.payable, 33000 - 9750 - 1625);
+  assert.deepEqual(cost.installments, [7208, 7208, 7209]);
+
+  // A fixed waiver never exceeds the tuition
+  const capped = calculateSemesterCost(courses, schedule, {
+    waiverType: "fixed",
+    waiverValue: 100000,
+  });
+  assert.equal(capped.waiver, 26000);
+  assert.equal(capped.payable, 3000 + 1500 + 2500);
+});
+
+test("the core prices its selection with its retakes and adjustments", () => {
+  const { core, events } = createCore();
+  core.setAdmissionYear("2025");
+  core.addCourse("CSE115");
+  core.setRetake("CSE115", true);
+  core.setCostAdjustments({ retakeDiscountPercent: 50 });
+
+  const cost = core.getCost();
+  assert.equal(cost.retakeDiscount, 9750);
+  assert.equal(cost.payable, 33000 - 9750);
+  assert.deepEqual(
+    events.map((event) => event.type),
+    ["cost", "add", "cost", "cost"]
+  );
+
+  core.setRetake("CSE115", false);
+  assert.equal(core.getCost().payable, 33000);
+});